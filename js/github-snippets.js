@@ -1,172 +1,559 @@
 /*!
  * GitHub Code Snippets Loader
- * Loads and displays code snippets from GitHub repository
+ * Loads and displays code snippets from GitHub repositories and gists
  */
 
 (function() {
   'use strict';
 
-  // Configuration
+  const { parseSnippetMetadata, isCodeFileName, getPrismComponents, getLanguageFromExtension } = window.SnippetMetadata;
+  const { canRun, runSnippet } = window.SnippetRunner;
+  const { createPhaseTimer } = window.Metrics;
+
+  // ==========================================
+  // CONFIGURATION
+  // ==========================================
+
   const getConfig = () => ({
+    manifest: document.getElementById('snippets-manifest')?.value || 'snippets/manifest.json'
+  });
+
+  // Single repository configured through the hidden .code-config inputs
+  const getLegacySource = () => ({
     username: document.getElementById('github-username')?.value || 'Briskwoods',
     repo: document.getElementById('github-repo')?.value || 'CodeSnippets',
     branch: document.getElementById('github-branch')?.value || 'main',
     folder: document.getElementById('snippets-folder')?.value || 'snippets'
   });
 
+  // Every place snippets are pulled from, read from the #snippet-sources-config
+  // JSON block. Repository sources list `username`, `repo`, `branch` and `folder`;
+  // gist sources list `gist`. Either may set a default `category` and a `label`.
+  const getSources = () => {
+    const configEl = document.getElementById('snippet-sources-config');
+    let sources = [getLegacySource()];
+
+    if (configEl) {
+      try {
+        sources = JSON.parse(configEl.textContent);
+      } catch (err) {
+        console.warn('Invalid snippet sources config:', err);
+      }
+    }
+
+    return sources.map((source, index) => {
+      const type = source.gist ? 'gist' : 'github';
+      const normalized = type === 'gist'
+        ? { ...source, type, label: source.label || 'Gist' }
+        : { branch: 'main', folder: 'snippets', ...source, type, label: source.label || source.repo };
+
+      normalized.id = source.id || (type === 'gist' ? `gist-${source.gist}` : `${source.username}/${source.repo}`);
+      // Snippets from the first source keep bare paths so existing links stay valid
+      normalized.primary = index === 0;
+      return normalized;
+    });
+  };
+
   let allSnippets = [];
   let currentCategory = 'all';
+  let currentQuery = '';
+  let currentSort = 'title';
+  let visibleCount = 0;
+  let activeSnippet = null;
+  let selectedLines = null;
+
+  // ==========================================
+  // SNIPPET CACHE
+  // ==========================================
+
+  // Listings and file bodies are persisted in localStorage so repeat visits
+  // render instantly and survive GitHub's unauthenticated rate limit.
+  const CACHE_PREFIX = 'snippets-cache:';
+
+  const getCacheScope = (source) => source.type === 'gist'
+    ? `gist:${source.gist}`
+    : `${source.username}/${source.repo}@${source.branch}/${source.folder}`;
+
+  const getListingCacheKey = (source, path = '') =>
+    `listing:${getCacheScope(source)}${path ? '/' + path : ''}`;
+
+  const getFileCacheKey = (source, sha) =>
+    `file:${getCacheScope(source)}:${sha}`;
+
+  const getHistoryCacheKey = (source, path) =>
+    `history:${getCacheScope(source)}/${path}`;
+
+  const readCache = (key) => {
+    try {
+      const raw = localStorage.getItem(CACHE_PREFIX + key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (err) {
+      return null;
+    }
+  };
+
+  const writeCache = (key, value) => {
+    try {
+      localStorage.setItem(CACHE_PREFIX + key, JSON.stringify(value));
+    } catch (err) {
+      // Storage full or disabled - caching is best effort
+      console.warn('Failed to cache snippet data:', err);
+    }
+  };
+
+  // Drop cached file bodies whose sha is no longer part of the listing. `files` also holds
+  // the older copies still shown in place of a changed file that failed to load
+  const pruneFileCache = (source, files) => {
+    const prefix = CACHE_PREFIX + `file:${getCacheScope(source)}:`;
+    const liveKeys = new Set(files.map(file => CACHE_PREFIX + getFileCacheKey(source, file.sha)));
+
+    try {
+      Object.keys(localStorage)
+        .filter(key => key.startsWith(prefix) && !liveKeys.has(key))
+        .forEach(key => localStorage.removeItem(key));
+    } catch (err) {
+      console.warn('Failed to prune snippet cache:', err);
+    }
+  };
 
   // ==========================================
   // GITHUB API FUNCTIONS
   // ==========================================
 
-  const fetchGitHubContents = async (path = '') => {
-    const config = getConfig();
-    const url = `https://api.github.com/repos/${config.username}/${config.repo}/contents/${config.folder}${path ? '/' + path : ''}?ref=${config.branch}`;
-    
-    const response = await fetch(url);
+  const createFetchError = (message, response) => {
+    const error = new Error(`${message}: ${response.status}`);
+    error.status = response.status;
+    error.rateLimited = response.status === 403 || response.status === 429;
+    return error;
+  };
+
+  // GET a GitHub API resource, revalidating any cached copy with its ETag.
+  // `transform` trims the response before it is cached.
+  const fetchCachedJson = async (url, cacheKey, transform = data => data) => {
+    const cached = readCache(cacheKey);
+
+    // Conditional requests answered with 304 don't count against the rate limit
+    const headers = cached && cached.etag ? { 'If-None-Match': cached.etag } : {};
+    const response = await fetch(url, { headers });
+
+    if (response.status === 304 && cached) {
+      writeCache(cacheKey, { ...cached, savedAt: Date.now() });
+      return cached.data;
+    }
+
     if (!response.ok) {
-      throw new Error(`GitHub API error: ${response.status}`);
+      throw createFetchError('GitHub API error', response);
     }
-    
-    return await response.json();
+
+    const data = transform(await response.json());
+    writeCache(cacheKey, {
+      etag: response.headers.get('ETag'),
+      savedAt: Date.now(),
+      data: data
+    });
+
+    return data;
   };
 
-  const fetchFileContent = async (downloadUrl) => {
-    const response = await fetch(downloadUrl);
+  const fetchGitHubContents = (source, path = '') => fetchCachedJson(
+    `https://api.github.com/repos/${source.username}/${source.repo}/contents/${source.folder}${path ? '/' + path : ''}?ref=${source.branch}`,
+    getListingCacheKey(source, path)
+  );
+
+  const fetchGist = (source) => fetchCachedJson(
+    `https://api.github.com/gists/${source.gist}`,
+    getListingCacheKey(source)
+  );
+
+  const fetchFileContent = async (source, file) => {
+    const cacheKey = getFileCacheKey(source, file.sha);
+    const cached = readCache(cacheKey);
+
+    // A file's sha identifies its content, so a cached body never goes stale
+    if (cached) {
+      return cached.content;
+    }
+
+    const response = await fetch(file.download_url);
     if (!response.ok) {
-      throw new Error(`Failed to fetch file: ${response.status}`);
+      throw createFetchError('Failed to fetch file', response);
     }
-    return await response.text();
+
+    const content = await response.text();
+    writeCache(cacheKey, { savedAt: Date.now(), content: content });
+    return content;
   };
 
-  // ==========================================
-  // SNIPPET PARSING
-  // ==========================================
+  // Only the latest few commits matter for "last updated" and the version diff
+  const HISTORY_LIMIT = 10;
 
-  const parseSnippetMetadata = (content, filename) => {
-    const lines = content.split('\n');
-    const metadata = {
-      title: filename.replace(/\.(cs|js|py|java|cpp|c|ts|jsx|tsx)$/i, ''),
-      description: '',
-      category: 'utilities',
-      categories: [], // Support multiple categories
-      language: getLanguageFromExtension(filename),
-      tags: []
-    };
+  // Newest commit first, trimmed to what the UI shows so the cache stays small
+  const fetchFileHistory = (source, path) => fetchCachedJson(
+    `https://api.github.com/repos/${source.username}/${source.repo}/commits?path=${encodeURIComponent(`${source.folder}/${path}`)}&sha=${source.branch}&per_page=${HISTORY_LIMIT}`,
+    getHistoryCacheKey(source, path),
+    commits => commits.map(item => ({
+      sha: item.sha,
+      date: item.commit.author.date,
+      author: (item.author && item.author.login) || item.commit.author.name,
+      message: item.commit.message.split('\n')[0],
+      url: item.html_url,
+      raw: `https://raw.githubusercontent.com/${source.username}/${source.repo}/${item.sha}/${source.folder}/${path}`
+    }))
+  );
 
-    // Parse metadata from comments at the top of the file
-    for (let i = 0; i < Math.min(20, lines.length); i++) {
-      const line = lines[i].trim();
-      
-      // Check for @title
-      if (line.includes('@title:')) {
-        metadata.title = line.split('@title:')[1].trim().replace(/[*\/]/g, '');
-      }
-      
-      // Check for @description
-      if (line.includes('@description:')) {
-        metadata.description = line.split('@description:')[1].trim().replace(/[*\/]/g, '');
+  // Maximum number of GitHub requests in flight at once
+  const MAX_CONCURRENT_REQUESTS = 4;
+
+  // Like Promise.all(items.map(worker)), but never runs more than `limit` at a time
+  const mapWithConcurrency = async (items, limit, worker) => {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const runNext = async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        results[index] = await worker(items[index], index);
       }
-      
-      // Check for @category (can be comma-separated for multiple)
-      if (line.includes('@category:')) {
-        const categoryStr = line.split('@category:')[1].trim().toLowerCase().replace(/[*\/]/g, '');
-        const cats = categoryStr.split(',').map(c => c.trim()).filter(c => c);
-        
-        if (cats.length > 0) {
-          metadata.category = cats[0]; // Primary category
-          metadata.categories = cats; // All categories
+    };
+
+    const runners = Array.from({ length: Math.min(limit, items.length) }, runNext);
+    await Promise.all(runners);
+    return results;
+  };
+
+  // Path of a contents API entry relative to the source's snippets folder
+  const getRelativePath = (source, entry) =>
+    entry.path.startsWith(source.folder + '/')
+      ? entry.path.slice(source.folder.length + 1)
+      : entry.name;
+
+  // Walk the snippets folder and every subfolder, one level at a time
+  const fetchGitHubTree = async (source) => {
+    const files = [];
+    let pending = [''];
+
+    while (pending.length > 0) {
+      const listings = await mapWithConcurrency(pending, MAX_CONCURRENT_REQUESTS, path => fetchGitHubContents(source, path));
+      pending = [];
+
+      listings.flat().forEach(entry => {
+        if (entry.type === 'dir') {
+          pending.push(getRelativePath(source, entry));
+        } else {
+          files.push(entry);
         }
+      });
+    }
+
+    return files;
+  };
+
+  // ==========================================
+  // BUILD-TIME MANIFEST
+  // ==========================================
+
+  // Written by scripts/build-snippets.js with a section per source it had a checkout of;
+  // those sources never touch the GitHub API
+  const fetchSnippetManifest = async () => {
+    try {
+      const response = await fetch(getConfig().manifest, { cache: 'no-cache' });
+      if (!response.ok) {
+        return null;
       }
-      
-      // Check for @tags
-      if (line.includes('@tags:')) {
-        const tagsStr = line.split('@tags:')[1].trim().replace(/[*\/]/g, '');
-        metadata.tags = tagsStr.split(',').map(t => t.trim());
-      }
+      return await response.json();
+    } catch (err) {
+      return null;
     }
+  };
+
+  // Sections are matched to sources by id, so ids and links agree with a live load of the same source
+  const getManifestSections = (manifest) => new Map(
+    manifest && Array.isArray(manifest.sources)
+      ? manifest.sources.filter(section => Array.isArray(section.snippets)).map(section => [section.id, section])
+      : []
+  );
+
+  const loadManifestSnippets = async (source, section) => {
+    const baseUrl = new URL(getConfig().manifest, window.location.href);
+
+    const snippets = await Promise.all(
+      section.snippets.map(async (entry) => {
+        const response = await fetch(new URL(entry.file, baseUrl));
+        if (!response.ok) {
+          throw createFetchError('Failed to fetch file', response);
+        }
+        const content = await response.text();
+
+        return {
+          id: source.primary ? entry.path : `${source.id}:${entry.path}`,
+          filename: entry.filename,
+          path: entry.path,
+          sha: entry.sha,
+          contentHash: hashContent(content),
+          content: content,
+          lines: entry.lines,
+          metadata: entry.metadata,
+          url: entry.url,
+          commit: entry.history && entry.history.length > 0 ? entry.history[0] : null,
+          history: entry.history || [],
+          // History was recorded at build time, so none is fetched when the snippet is opened
+          source: { id: source.id, label: source.label, type: source.type, manifest: true }
+        };
+      })
+    );
+
+    return snippets;
+  };
+
+  // ==========================================
+  // SEARCH
+  // ==========================================
+
+  // Relative weight of a term matching in each field
+  const SEARCH_WEIGHTS = {
+    title: 10,
+    tags: 6,
+    description: 4,
+    language: 3,
+    content: 1
+  };
+
+  // Splits "pool tag:memory lang:csharp" into free-text terms and field filters
+  const parseSearchQuery = (query) => {
+    const parsed = { terms: [], tags: [], languages: [] };
+
+    query.toLowerCase().split(/\s+/).filter(t => t).forEach(token => {
+      const [, field, value] = token.match(/^(tag|lang):(.+)$/) || [];
 
-    // If no description found in metadata, try to extract from summary comment
-    if (!metadata.description) {
-      const summaryMatch = content.match(/\/\/\/?\s*<summary>([\s\S]*?)<\/summary>/i) || 
-                          content.match(/\/\*\*([\s\S]*?)\*\//);
-      if (summaryMatch) {
-        metadata.description = summaryMatch[1]
-          .replace(/<\/?summary>/gi, '')
-          .replace(/\/\/\/?\s*/g, '')
-          .replace(/\*+\/?/g, '')
-          .trim()
-          .split('\n')[0]; // Take first line only
+      if (field === 'tag') {
+        parsed.tags.push(value);
+      } else if (field === 'lang') {
+        parsed.languages.push(value);
+      } else {
+        parsed.terms.push(token);
       }
+    });
+
+    return parsed;
+  };
+
+  // True when every character of `term` appears in `text` in order
+  const isSubsequence = (term, text) => {
+    let index = 0;
+    for (const char of text) {
+      if (char === term[index]) index++;
+      if (index === term.length) return true;
     }
+    return false;
+  };
 
-    return metadata;
-  };
-
-  const getLanguageFromExtension = (filename) => {
-    const ext = filename.split('.').pop().toLowerCase();
-    const langMap = {
-      'cs': 'csharp',
-      'js': 'javascript',
-      'ts': 'typescript',
-      'jsx': 'jsx',
-      'tsx': 'tsx',
-      'py': 'python',
-      'java': 'java',
-      'cpp': 'cpp',
-      'c': 'c',
-      'go': 'go',
-      'rs': 'rust',
-      'php': 'php',
-      'rb': 'ruby'
-    };
-    return langMap[ext] || 'csharp';
+  // Exact substrings score fully, fuzzy (in-order characters) matches score half;
+  // file content is too long for fuzzy matching to mean anything
+  const scoreField = (term, text, weight, fuzzy = true) => {
+    if (!text) return 0;
+    const haystack = text.toLowerCase();
+    if (haystack.includes(term)) return weight;
+    if (fuzzy && term.length > 2 && isSubsequence(term, haystack)) return weight / 2;
+    return 0;
+  };
+
+  const scoreTerm = (term, snippet) => {
+    const { metadata } = snippet;
+    return scoreField(term, metadata.title, SEARCH_WEIGHTS.title)
+      + Math.max(0, ...metadata.tags.map(tag => scoreField(term, tag, SEARCH_WEIGHTS.tags)))
+      + scoreField(term, metadata.description, SEARCH_WEIGHTS.description)
+      + scoreField(term, metadata.language, SEARCH_WEIGHTS.language, false)
+      + scoreField(term, snippet.content, SEARCH_WEIGHTS.content, false);
+  };
+
+  // Returns 0 when the snippet should be hidden, otherwise a relevance score
+  const scoreSnippet = (snippet, query) => {
+    const { metadata } = snippet;
+    const tags = metadata.tags.map(t => t.toLowerCase());
+    const extension = snippet.filename.split('.').pop().toLowerCase();
+
+    if (!query.tags.every(tag => tags.some(t => t.includes(tag)))) return 0;
+    if (!query.languages.every(lang => lang === metadata.language || lang === extension)) return 0;
+    if (query.terms.length === 0) return 1;
+
+    let total = 0;
+    for (const term of query.terms) {
+      const score = scoreTerm(term, snippet);
+      // Every free-text term has to match somewhere
+      if (score === 0) return 0;
+      total += score;
+    }
+    return total;
+  };
+
+  const searchSnippets = (snippets, queryString) => {
+    const query = parseSearchQuery(queryString);
+
+    return snippets
+      .map(snippet => ({ snippet, score: scoreSnippet(snippet, query) }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map(result => result.snippet);
+  };
+
+  const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  // Escapes `text` and wraps every occurrence of the given terms in <mark>
+  const highlightText = (text, terms) => {
+    if (!text || terms.length === 0) {
+      return escapeHtml(text || '');
+    }
+
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    return text
+      .split(pattern)
+      .map((part, i) => i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+      .join('');
+  };
+
+  // First line of code containing a search term, shown when the match is in the body
+  const findContentMatch = (content, terms) => {
+    if (terms.length === 0) return null;
+    const line = content.split('\n').find(l => terms.some(term => l.toLowerCase().includes(term)));
+    return line ? line.trim().slice(0, 120) : null;
+  };
+
+  const initSearch = () => {
+    const input = document.getElementById('snippet-search');
+    if (!input) return;
+
+    let debounceTimer = null;
+    input.addEventListener('input', () => {
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(() => {
+        currentQuery = input.value.trim();
+        resetPagination();
+        renderSnippets();
+        writeRoute();
+      }, 150);
+    });
   };
 
   // ==========================================
   // UI RENDERING
   // ==========================================
 
-  const createSnippetCard = (snippet) => {
+  const createSnippetCard = (snippet, terms = []) => {
     const card = document.createElement('div');
-    card.className = 'snippet-card';
+    card.className = snippet.metadata.featured ? 'snippet-card featured' : 'snippet-card';
+    card.dataset.snippetId = snippet.id;
+    card.tabIndex = 0;
+    card.setAttribute('role', 'button');
+    card.setAttribute('aria-haspopup', 'dialog');
     // Store all categories for filtering
     card.dataset.category = snippet.metadata.category;
     card.dataset.categories = snippet.metadata.categories.join(',');
     
     // Show all categories as badges
     const categoryBadges = snippet.metadata.categories.length > 0
-      ? snippet.metadata.categories.map(cat => `<span class="snippet-category">${cat}</span>`).join(' ')
-      : `<span class="snippet-category">${snippet.metadata.category}</span>`;
+      ? snippet.metadata.categories.map(cat => `<span class="snippet-category">${escapeHtml(cat)}</span>`).join(' ')
+      : `<span class="snippet-category">${escapeHtml(snippet.metadata.category)}</span>`;
+
+    // Surface matching tags first so highlights aren't hidden past the first two
+    const isMatch = (text) => terms.some(term => text.toLowerCase().includes(term));
+    const tags = [...snippet.metadata.tags].sort((a, b) => isMatch(b) - isMatch(a));
+    const contentMatch = isMatch(snippet.metadata.title) || isMatch(snippet.metadata.description)
+      ? null
+      : findContentMatch(snippet.content, terms);
     
     card.innerHTML = `
       <div class="snippet-card-header">
-        <h4 class="snippet-title">${escapeHtml(snippet.metadata.title)}</h4>
+        <h4 class="snippet-title">${snippet.metadata.featured ? '<i class="fas fa-star snippet-featured" title="Featured"></i> ' : ''}${highlightText(snippet.metadata.title, terms)}</h4>
         <span class="snippet-language">${snippet.metadata.language}</span>
       </div>
-      <p class="snippet-description">${escapeHtml(snippet.metadata.description || 'Click to view code')}</p>
+      <p class="snippet-description">${snippet.metadata.description ? highlightText(snippet.metadata.description, terms) : 'Click to view code'}</p>
+      ${contentMatch ? `<code class="snippet-match">${highlightText(contentMatch, terms)}</code>` : ''}
       <div class="snippet-meta">
+        <span class="snippet-source" title="Source"><i class="fab fa-github"></i> ${escapeHtml(snippet.source.label)}</span>
         <span><i class="fas fa-code"></i> ${snippet.lines} lines</span>
-        ${snippet.metadata.tags.length > 0 ? `<span><i class="fas fa-tags"></i> ${snippet.metadata.tags.slice(0, 2).join(', ')}</span>` : ''}
+        ${snippet.commit ? `<span title="${escapeHtml(snippet.commit.message || 'Last updated')}"><i class="fas fa-history"></i> ${formatRelativeDate(snippet.commit.date)}</span>` : ''}
+        ${tags.length > 0 ? `<span><i class="fas fa-tags"></i> ${tags.slice(0, 2).map(tag => highlightText(tag, terms)).join(', ')}</span>` : ''}
       </div>
       <div class="snippet-categories">${categoryBadges}</div>
     `;
     
     card.addEventListener('click', () => openSnippetModal(snippet));
+
+    // Cards behave like buttons for keyboard users
+    card.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        openSnippetModal(snippet);
+      }
+    });
     
     return card;
   };
 
-  const renderSnippets = (snippets = allSnippets) => {
-    const container = document.getElementById('snippets-container');
-    container.innerHTML = '';
-    
+  // ==========================================
+  // SORTING AND PAGINATION
+  // ==========================================
+
+  // Cards rendered per page; "Load more" reveals the next page
+  const PAGE_SIZE = 12;
+
+  // Commit dates when known, otherwise the header's `date` field
+  const getUpdatedTime = (snippet) =>
+    Date.parse((snippet.commit && snippet.commit.date) || snippet.metadata.date) || 0;
+
+  const byTitle = (a, b) => a.metadata.title.localeCompare(b.metadata.title);
+
+  const SNIPPET_SORTS = {
+    title: byTitle,
+    updated: (a, b) => getUpdatedTime(b) - getUpdatedTime(a) || byTitle(a, b),
+    lines: (a, b) => b.lines - a.lines || byTitle(a, b),
+    language: (a, b) => a.metadata.language.localeCompare(b.metadata.language) || byTitle(a, b)
+  };
+
+  // Featured snippets are pinned above everything else in the chosen order
+  const sortForDisplay = (snippets) => {
+    const compare = SNIPPET_SORTS[currentSort] || SNIPPET_SORTS.title;
+    return [...snippets].sort((a, b) => (b.metadata.featured - a.metadata.featured) || compare(a, b));
+  };
+
+  const resetPagination = () => {
+    visibleCount = PAGE_SIZE;
+  };
+
+  const renderLoadMore = (total) => {
+    const button = document.getElementById('snippets-load-more');
+    if (!button) return;
+
+    const remaining = total - visibleCount;
+    button.style.display = remaining > 0 ? '' : 'none';
+    button.textContent = `Load more (${remaining} remaining)`;
+  };
+
+  const initSortAndPagination = () => {
+    const sortSelect = document.getElementById('snippet-sort');
+    const loadMoreBtn = document.getElementById('snippets-load-more');
+
+    resetPagination();
+
+    sortSelect?.addEventListener('change', () => {
+      currentSort = sortSelect.value;
+      resetPagination();
+      renderSnippets();
+      writeRoute();
+    });
+
+    loadMoreBtn?.addEventListener('click', () => {
+      visibleCount += PAGE_SIZE;
+      renderSnippets();
+    });
+  };
+
+  // The snippets currently matching the category and search, in display order
+  const getFilteredSnippets = () => {
     // Filter by category - now supports multiple categories
     const filtered = currentCategory === 'all' 
-      ? snippets 
-      : snippets.filter(s => {
+      ? allSnippets 
+      : allSnippets.filter(s => {
           // Check if the snippet has multiple categories
           if (s.metadata.categories && s.metadata.categories.length > 0) {
             return s.metadata.categories.includes(currentCategory);
@@ -174,151 +561,1437 @@
           // Fallback to single category
           return s.metadata.category === currentCategory;
         });
+
+    const sorted = sortForDisplay(filtered);
+
+    // Search results are ranked by relevance; the chosen sort breaks ties
+    return currentQuery ? searchSnippets(sorted, currentQuery) : sorted;
+  };
+
+  // Screen reader summary of what the grid is showing
+  const announceResults = (count) => {
+    const statusEl = document.getElementById('snippets-status');
+    if (!statusEl) return;
+
+    const noun = count === 1 ? 'snippet' : 'snippets';
+    statusEl.textContent = currentQuery
+      ? `${count} ${noun} match "${currentQuery}"`
+      : `Showing ${count} ${noun}`;
+  };
+
+  const renderSnippets = () => {
+    const container = document.getElementById('snippets-container');
+    container.innerHTML = '';
+
+    const filtered = getFilteredSnippets();
+    renderLoadMore(filtered.length);
+    renderDownloadButton(filtered.length);
+    announceResults(filtered.length);
     
     if (filtered.length === 0) {
       container.innerHTML = `
         <div class="code-error">
           <i class="fas fa-folder-open"></i>
-          <p>No snippets found in this category.</p>
+          <p>${currentQuery ? 'No snippets match your search.' : 'No snippets found in this category.'}</p>
         </div>
       `;
       return;
     }
-    
-    filtered.forEach(snippet => {
-      container.appendChild(createSnippetCard(snippet));
+
+    const terms = parseSearchQuery(currentQuery).terms;
+    filtered.slice(0, visibleCount).forEach(snippet => {
+      container.appendChild(createSnippetCard(snippet, terms));
+    });
+  };
+
+  // ==========================================
+  // SYNTAX HIGHLIGHTING
+  // ==========================================
+
+  // Must match the Prism core version loaded in index.html
+  const PRISM_COMPONENTS_URL = 'https://cdnjs.cloudflare.com/ajax/libs/prism/1.29.0/components';
+
+  const prismComponentLoads = {};
+
+  const loadPrismComponent = (component) => {
+    if (window.Prism && Prism.languages[component]) {
+      return Promise.resolve();
+    }
+
+    if (!prismComponentLoads[component]) {
+      prismComponentLoads[component] = new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = `${PRISM_COMPONENTS_URL}/prism-${component}.min.js`;
+        script.onload = resolve;
+        script.onerror = () => {
+          // Allow a later attempt once the network is back
+          delete prismComponentLoads[component];
+          reject(new Error(`Failed to load Prism component: ${component}`));
+        };
+        document.head.appendChild(script);
+      });
+    }
+
+    return prismComponentLoads[component];
+  };
+
+  // Grammars extend their dependencies, so components load strictly in order
+  const loadPrismLanguage = async (language) => {
+    for (const component of getPrismComponents(language)) {
+      await loadPrismComponent(component);
+    }
+  };
+
+  const highlightSnippetCode = async (codeEl, snippet) => {
+    if (!window.Prism) return;
+
+    try {
+      await loadPrismLanguage(snippet.metadata.language);
+    } catch (err) {
+      console.warn(err.message);
+    }
+
+    // The user may have moved on to another snippet while the grammar loaded
+    if (activeSnippet === snippet) {
+      Prism.highlightElement(codeEl);
+      // Line numbers only exist once Prism has run
+      renderLineSelection({ scroll: true });
+    }
+  };
+
+  // ==========================================
+  // LINE SELECTION
+  // ==========================================
+
+  // '10-42' or '10' -> { start, end }, clamped to the snippet's length
+  const parseLineRange = (value, snippet) => {
+    const match = String(value || '').match(/^L?(\d+)(?:-L?(\d+))?$/);
+    if (!match) return null;
+
+    const a = Math.min(Number(match[1]), snippet.lines);
+    const b = Math.min(Number(match[2] || match[1]), snippet.lines);
+    return a > 0 && b > 0 ? { start: Math.min(a, b), end: Math.max(a, b) } : null;
+  };
+
+  const formatLineRange = ({ start, end }) => (start === end ? `${start}` : `${start}-${end}`);
+
+  // GitHub anchors look like #L10-L42; gist links already carry #file-name, so they get -L10-L42
+  const getSnippetLink = (snippet) => {
+    if (!selectedLines) return snippet.url;
+
+    const { start, end } = selectedLines;
+    const anchor = start === end ? `L${start}` : `L${start}-L${end}`;
+    return snippet.url + (snippet.url.includes('#') ? '-' : '#') + anchor;
+  };
+
+  const getSelectedCode = () => {
+    if (!activeSnippet || !selectedLines) return '';
+    return activeSnippet.content
+      .split('\n')
+      .slice(selectedLines.start - 1, selectedLines.end)
+      .join('\n');
+  };
+
+  const renderLineSelection = ({ scroll = false } = {}) => {
+    const modalCode = document.getElementById('modal-code');
+    const githubLink = document.getElementById('modal-github-link');
+    const copySelectionBtn = document.getElementById('modal-copy-selection-btn');
+    const rows = modalCode.querySelectorAll('.line-numbers-rows > span');
+    const pre = modalCode.parentElement;
+    let overlay = pre.querySelector('.line-selection');
+
+    if (activeSnippet) {
+      githubLink.href = getSnippetLink(activeSnippet);
+    }
+    if (copySelectionBtn) {
+      copySelectionBtn.style.display = selectedLines ? '' : 'none';
+    }
+
+    rows.forEach((row, i) => {
+      const line = i + 1;
+      row.classList.toggle('selected', Boolean(selectedLines) && line >= selectedLines.start && line <= selectedLines.end);
+    });
+
+    if (!selectedLines || rows.length === 0) {
+      overlay?.remove();
+      return;
+    }
+
+    // A band behind the selected lines, measured from the rendered line numbers
+    if (!overlay) {
+      overlay = document.createElement('div');
+      overlay.className = 'line-selection';
+      overlay.setAttribute('aria-hidden', 'true');
+      pre.appendChild(overlay);
+    }
+
+    const first = rows[selectedLines.start - 1];
+    const last = rows[selectedLines.end - 1];
+    overlay.style.top = `${modalCode.offsetTop + first.offsetTop}px`;
+    overlay.style.height = `${last.offsetTop + last.offsetHeight - first.offsetTop}px`;
+
+    if (scroll) {
+      pre.scrollTop = Math.max(0, first.offsetTop - pre.clientHeight / 3);
+    }
+  };
+
+  const setLineSelection = (range) => {
+    selectedLines = range;
+    renderLineSelection();
+    writeRoute({ modal: Boolean(history.state && history.state.snippetModal) });
+  };
+
+  // Clicking a line number selects it; shift-click extends from the last click
+  let selectionAnchor = null;
+
+  const initLineSelection = () => {
+    const modalCode = document.getElementById('modal-code');
+    const copySelectionBtn = document.getElementById('modal-copy-selection-btn');
+
+    modalCode.addEventListener('click', (e) => {
+      const row = e.target.closest('.line-numbers-rows > span');
+      if (!row) return;
+
+      const line = Array.prototype.indexOf.call(row.parentElement.children, row) + 1;
+
+      if (e.shiftKey && selectionAnchor) {
+        setLineSelection({ start: Math.min(selectionAnchor, line), end: Math.max(selectionAnchor, line) });
+      } else if (selectedLines && selectedLines.start === line && selectedLines.end === line) {
+        selectionAnchor = null;
+        setLineSelection(null);
+      } else {
+        selectionAnchor = line;
+        setLineSelection({ start: line, end: line });
+      }
     });
+
+    copySelectionBtn?.addEventListener('click', () => copyToClipboard(copySelectionBtn, getSelectedCode()));
   };
 
   // ==========================================
   // MODAL FUNCTIONS
   // ==========================================
 
-  const openSnippetModal = (snippet) => {
+  // Element that had focus before the modal opened, restored on close
+  let modalReturnFocus = null;
+
+  const isModalOpen = () => document.getElementById('snippet-modal').style.display === 'flex';
+
+  const openSnippetModal = (snippet, { updateHistory = true, lines = null } = {}) => {
     const modal = document.getElementById('snippet-modal');
     const modalTitle = document.getElementById('modal-title');
     const modalCode = document.getElementById('modal-code');
     const modalGithubLink = document.getElementById('modal-github-link');
+    const wasOpen = isModalOpen();
     
     modalTitle.textContent = snippet.metadata.title;
     modalCode.textContent = snippet.content;
     modalCode.className = `language-${snippet.metadata.language}`;
     
-    const config = getConfig();
-    modalGithubLink.href = `https://github.com/${config.username}/${config.repo}/blob/${config.branch}/${config.folder}/${snippet.filename}`;
+    modalGithubLink.href = snippet.url;
     
     modal.style.display = 'flex';
     document.body.style.overflow = 'hidden';
-    
-    // Re-highlight with Prism
-    if (window.Prism) {
-      Prism.highlightElement(modalCode);
+    activeSnippet = snippet;
+    selectedLines = lines ? parseLineRange(lines, snippet) : null;
+    selectionAnchor = selectedLines ? selectedLines.start : null;
+    renderLineSelection();
+    setModalView('code');
+    renderModalHistory();
+    loadSnippetHistory(snippet);
+    resetRunner();
+    updateModalNavigation();
+
+    if (!wasOpen) {
+      modalReturnFocus = document.activeElement;
+      document.getElementById('modal-close-btn').focus();
+    }
+
+    if (updateHistory) {
+      // Pushed so the browser back button closes the modal
+      writeRoute({ push: true, modal: true });
     }
+    
+    // Re-highlight with Prism, fetching the grammar on first use
+    highlightSnippetCode(modalCode, snippet);
   };
 
-  const closeSnippetModal = () => {
+  // The modal body shows the highlighted code, a diff against an earlier version, or the editor
+  const setModalView = (view) => {
+    const diffBtn = document.getElementById('modal-diff-btn');
+    const editBtn = document.getElementById('modal-edit-btn');
+
+    document.getElementById('modal-code').parentElement.style.display = view === 'code' ? '' : 'none';
+    document.getElementById('modal-diff').style.display = view === 'diff' ? '' : 'none';
+    document.getElementById('modal-editor').style.display = view === 'editor' ? '' : 'none';
+
+    diffBtn.setAttribute('aria-pressed', String(view === 'diff'));
+    diffBtn.innerHTML = view === 'diff'
+      ? '<i class="fas fa-code"></i> Current'
+      : '<i class="fas fa-code-compare"></i> Compare';
+    editBtn.setAttribute('aria-pressed', String(view === 'editor'));
+  };
+
+  const hideSnippetModal = () => {
     const modal = document.getElementById('snippet-modal');
+    const lastSnippet = activeSnippet;
     modal.style.display = 'none';
     document.body.style.overflow = '';
+    activeSnippet = null;
+    selectedLines = null;
+    stopRun();
+
+    // The opening card may have been re-rendered meanwhile; fall back to the
+    // card of the snippet that was showing last
+    const returnTarget = modalReturnFocus && modalReturnFocus.isConnected
+      ? modalReturnFocus
+      : lastSnippet && document.querySelector(`.snippet-card[data-snippet-id="${CSS.escape(lastSnippet.id)}"]`);
+    if (returnTarget) {
+      returnTarget.focus();
+    }
+    modalReturnFocus = null;
   };
 
-  // ==========================================
-  // CATEGORY FILTERING
-  // ==========================================
+  const closeSnippetModal = () => {
+    // Unwind the entry pushed on open; the popstate handler hides the modal
+    if (history.state && history.state.snippetModal) {
+      history.back();
+      return;
+    }
 
-  const initCategoryFilters = () => {
-    const buttons = document.querySelectorAll('.category-btn');
-    
-    buttons.forEach(btn => {
-      btn.addEventListener('click', () => {
-        // Update active state
-        buttons.forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-        
-        // Update current category and re-render
-        currentCategory = btn.dataset.category;
-        renderSnippets();
-      });
-    });
+    hideSnippetModal();
+    writeRoute();
+  };
+
+  // Previous/next snippet within the current filtered list. Matched by id, since
+  // revalidation replaces the snippet objects while the modal stays open
+  const getAdjacentSnippet = (offset) => {
+    if (!activeSnippet) return null;
+    const filtered = getFilteredSnippets();
+    const index = filtered.findIndex(snippet => snippet.id === activeSnippet.id);
+    return index === -1 ? null : filtered[index + offset] || null;
+  };
+
+  const updateModalNavigation = () => {
+    const prevBtn = document.getElementById('modal-prev-btn');
+    const nextBtn = document.getElementById('modal-next-btn');
+    if (prevBtn) prevBtn.disabled = !getAdjacentSnippet(-1);
+    if (nextBtn) nextBtn.disabled = !getAdjacentSnippet(1);
+  };
+
+  const showAdjacentSnippet = (offset) => {
+    const snippet = getAdjacentSnippet(offset);
+    if (!snippet) return;
+
+    // Replace rather than push, so back still closes the modal in one step
+    openSnippetModal(snippet, { updateHistory: false });
+    writeRoute({ modal: history.state && history.state.snippetModal });
+  };
+
+  const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+  // Keep Tab and Shift+Tab cycling inside the dialog
+  const trapFocus = (e) => {
+    const dialog = document.querySelector('#snippet-modal .snippet-modal-content');
+    const focusable = [...dialog.querySelectorAll(FOCUSABLE_SELECTOR)]
+      // No client rects means the control or one of its ancestors is hidden
+      .filter(el => el.getClientRects().length > 0);
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && (document.activeElement === first || !dialog.contains(document.activeElement))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || !dialog.contains(document.activeElement))) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  // ==========================================
+  // URL ROUTING
+  // ==========================================
+
+  // State lives in the hash so GitHub Pages needs no server-side routing:
+  // #code-snippets?category=patterns&q=pool&snippet=systems/ObjectPool.cs&lines=10-42
+  const ROUTE_SECTION = 'code-snippets';
+
+  const readRoute = () => {
+    const [section, query = ''] = window.location.hash.slice(1).split('?');
+    if (section !== ROUTE_SECTION) {
+      return null;
+    }
+
+    const params = new URLSearchParams(query);
+    return {
+      category: params.get('category') || 'all',
+      query: params.get('q') || '',
+      sort: SNIPPET_SORTS[params.get('sort')] ? params.get('sort') : 'title',
+      snippet: params.get('snippet'),
+      lines: params.get('lines')
+    };
+  };
+
+  const writeRoute = ({ push = false, modal = false } = {}) => {
+    const params = new URLSearchParams();
+    if (currentCategory !== 'all') params.set('category', currentCategory);
+    if (currentQuery) params.set('q', currentQuery);
+    if (currentSort !== 'title') params.set('sort', currentSort);
+    if (activeSnippet) params.set('snippet', activeSnippet.id);
+    if (activeSnippet && selectedLines) params.set('lines', formatLineRange(selectedLines));
+
+    const query = params.toString();
+    const hash = `#${ROUTE_SECTION}${query ? '?' + query : ''}`;
+    if (hash === window.location.hash) {
+      return;
+    }
+
+    const state = modal ? { snippetModal: true } : null;
+    if (push) {
+      history.pushState(state, '', hash);
+    } else {
+      history.replaceState(state, '', hash);
+    }
+  };
+
+  const findSnippetById = (id) =>
+    allSnippets.find(s => s.id === id)
+    || allSnippets.find(s => s.path === id)
+    || allSnippets.find(s => s.filename === id);
+
+  // Bring the page in line with a route without writing new history entries
+  const applyRoute = (route) => {
+    const searchInput = document.getElementById('snippet-search');
+    const sortSelect = document.getElementById('snippet-sort');
+    currentQuery = route.query;
+    currentSort = route.sort;
+    if (searchInput) {
+      searchInput.value = route.query;
+    }
+    if (sortSelect) {
+      sortSelect.value = route.sort;
+    }
+    setCategory(route.category === 'all' || getCategoryCounts(allSnippets).has(route.category) ? route.category : 'all');
+
+    const snippet = route.snippet ? findSnippetById(route.snippet) : null;
+    if (snippet) {
+      if (snippet !== activeSnippet) {
+        openSnippetModal(snippet, { updateHistory: false, lines: route.lines });
+      } else {
+        selectedLines = parseLineRange(route.lines, snippet);
+        renderLineSelection();
+      }
+    } else if (activeSnippet) {
+      hideSnippetModal();
+    }
+
+    return !route.snippet || Boolean(snippet);
+  };
+
+  // Route from the initial page load, applied once its snippet has been loaded
+  let pendingRoute = null;
+
+  const applyPendingRoute = () => {
+    if (pendingRoute && applyRoute(pendingRoute)) {
+      pendingRoute = null;
+    }
+  };
+
+  const initRouting = () => {
+    pendingRoute = readRoute();
+    if (pendingRoute) {
+      document.getElementById(ROUTE_SECTION)?.scrollIntoView();
+    }
+
+    window.addEventListener('popstate', () => {
+      pendingRoute = null;
+      applyRoute(readRoute() || { category: currentCategory, query: currentQuery, sort: currentSort, snippet: null });
+    });
   };
 
   // ==========================================
-  // LOADING SNIPPETS
-  // ==========================================
+  // CATEGORY FILTERING
+  // ==========================================
+
+  // Optional display names and ordering from the #snippet-categories-config JSON block
+  const getCategoryConfig = () => {
+    const configEl = document.getElementById('snippet-categories-config');
+    const defaults = { order: [], labels: {} };
+    if (!configEl) return defaults;
+
+    try {
+      return Object.assign(defaults, JSON.parse(configEl.textContent));
+    } catch (err) {
+      console.warn('Invalid snippet category config:', err);
+      return defaults;
+    }
+  };
+
+  // 'systems/pooling' -> 'Systems / Pooling'
+  const formatCategoryLabel = (category) =>
+    category
+      .split('/')
+      .map(part => part.replace(/[-_]+/g, ' ').replace(/\b\w/g, c => c.toUpperCase()))
+      .join(' / ');
+
+  const getCategoryCounts = (snippets) => {
+    const counts = new Map();
+    snippets.forEach(snippet => {
+      const categories = snippet.metadata.categories.length > 0
+        ? snippet.metadata.categories
+        : [snippet.metadata.category];
+      new Set(categories).forEach(cat => counts.set(cat, (counts.get(cat) || 0) + 1));
+    });
+    return counts;
+  };
+
+  const createCategoryButton = (category, label, count) => {
+    const btn = document.createElement('button');
+    btn.className = 'category-btn';
+    btn.dataset.category = category;
+    btn.classList.toggle('active', category === currentCategory);
+    btn.innerHTML = `${escapeHtml(label)} <span class="category-count">${count}</span>`;
+    return btn;
+  };
+
+  // Rebuild the filter bar from the categories actually present in allSnippets
+  const renderCategoryFilters = () => {
+    const container = document.getElementById('snippet-categories');
+    if (!container) return;
+
+    const { order, labels } = getCategoryConfig();
+    const counts = getCategoryCounts(allSnippets);
+
+    // Configured categories first, in config order, then the rest alphabetically
+    const rank = (cat) => order.includes(cat) ? order.indexOf(cat) : order.length;
+    const categories = [...counts.keys()].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+
+    // The selected category may have disappeared after a refresh
+    if (currentCategory !== 'all' && !counts.has(currentCategory)) {
+      currentCategory = 'all';
+    }
+
+    container.innerHTML = '';
+    container.appendChild(createCategoryButton('all', labels.all || 'All Snippets', allSnippets.length));
+    categories.forEach(cat => {
+      container.appendChild(createCategoryButton(cat, labels[cat] || formatCategoryLabel(cat), counts.get(cat)));
+    });
+  };
+
+  const setCategory = (category) => {
+    const container = document.getElementById('snippet-categories');
+    currentCategory = category;
+    resetPagination();
+
+    // Update active state
+    container?.querySelectorAll('.category-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.category === category);
+    });
+
+    renderSnippets();
+  };
+
+  const initCategoryFilters = () => {
+    const container = document.getElementById('snippet-categories');
+    if (!container) return;
+
+    container.addEventListener('click', (e) => {
+      const btn = e.target.closest('.category-btn');
+      if (!btn) return;
+
+      // Update current category and re-render
+      setCategory(btn.dataset.category);
+      writeRoute({ push: true });
+    });
+  };
+
+  const showSnippets = (snippets) => {
+    allSnippets = snippets;
+    if (pendingRoute) {
+      currentCategory = pendingRoute.category;
+      currentSort = pendingRoute.sort;
+    }
+    renderCategoryFilters();
+    renderSnippets();
+    applyPendingRoute();
+    if (activeSnippet) updateModalNavigation();
+  };
+
+  // ==========================================
+  // LOADING SNIPPETS
+  // ==========================================
+
+  const isCodeFile = (file) =>
+    file.type === 'file' && isCodeFileName(file.name);
+
+  // 53-bit string hash (cyrb53); enough to spot the same file published twice
+  const hashContent = (content) => {
+    const text = content.replace(/\r\n/g, '\n').trim();
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+  };
+
+  // `file` is { name, path, sha, url } with `path` relative to the source root
+  const createSnippet = (source, file, content, history = getCachedHistory(source, file.path)) => {
+    const path = file.path;
+    const metadata = parseSnippetMetadata(content, file.name, path.split('/').slice(0, -1).join('/'));
+    metadata.warnings.forEach(warning => console.warn(`Snippet header in ${source.label}/${path}: ${warning}`));
+
+    // Fall back to the source's default category when neither header nor folder gave one
+    if (metadata.categories.length === 0 && source.category) {
+      metadata.category = source.category;
+      metadata.categories = [source.category];
+    }
+
+    return {
+      id: source.primary ? path : `${source.id}:${path}`,
+      filename: file.name,
+      path: path,
+      sha: file.sha,
+      contentHash: hashContent(content),
+      content: content,
+      lines: content.split('\n').length,
+      metadata: metadata,
+      url: file.url,
+      commit: history.length > 0 ? history[0] : null,
+      history: history,
+      source: { id: source.id, label: source.label, type: source.type }
+    };
+  };
+
+  const toRepoFile = (source, entry) => ({
+    name: entry.name,
+    path: getRelativePath(source, entry),
+    sha: entry.sha,
+    url: entry.html_url
+  });
+
+  // Gist files carry no sha, and their anchors on the gist page are slugified names
+  const toGistFile = (gist, file) => ({
+    name: file.filename,
+    path: file.filename,
+    sha: null,
+    url: `${gist.html_url}#file-${file.filename.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`
+  });
+
+  const sortSnippets = (snippets) =>
+    snippets.sort((a, b) => a.metadata.title.localeCompare(b.metadata.title));
+
+  // Keep the first copy of any file that appears in more than one source
+  const dedupeSnippets = (snippets) => {
+    const seen = new Set();
+    return snippets.filter(snippet => {
+      if (seen.has(snippet.contentHash)) return false;
+      seen.add(snippet.contentHash);
+      return true;
+    });
+  };
+
+  // Identifies a rendered set of snippets so revalidation can skip no-op re-renders
+  const getSnippetsSignature = (snippets) =>
+    snippets.map(s => `${s.id}@${s.contentHash}`).sort().join(',');
+
+  // Rebuild a repository's folder tree from cached listings alone, without touching the network
+  const readCachedTree = (source, path = '') => {
+    const cachedListing = readCache(getListingCacheKey(source, path));
+    if (!cachedListing || !Array.isArray(cachedListing.data)) {
+      return null;
+    }
+
+    return cachedListing.data.reduce((tree, entry) => {
+      if (entry.type === 'dir') {
+        const subtree = readCachedTree(source, getRelativePath(source, entry));
+        if (subtree) {
+          tree.files.push(...subtree.files);
+        }
+      } else {
+        tree.files.push(entry);
+      }
+      return tree;
+    }, { files: [], savedAt: cachedListing.savedAt });
+  };
+
+  const getGistSnippets = (source, gist) =>
+    Object.values(gist.files)
+      .filter(file => isCodeFileName(file.filename) && !file.truncated)
+      .map(file => createSnippet(source, toGistFile(gist, file), file.content, getGistHistory(gist, file)));
+
+  // Build a source's snippets purely from localStorage; files without a cached body are skipped
+  const loadCachedSourceSnippets = (source) => {
+    if (source.type === 'gist') {
+      const cachedGist = readCache(getListingCacheKey(source));
+      return cachedGist
+        ? { snippets: getGistSnippets(source, cachedGist.data), savedAt: cachedGist.savedAt }
+        : null;
+    }
+
+    const cachedTree = readCachedTree(source);
+    if (!cachedTree) {
+      return null;
+    }
 
+    const snippets = cachedTree.files
+      .filter(isCodeFile)
+      .map(entry => {
+        const cachedFile = readCache(getFileCacheKey(source, entry.sha));
+        return cachedFile ? createSnippet(source, toRepoFile(source, entry), cachedFile.content) : null;
+      })
+      .filter(s => s !== null);
+
+    return snippets.length > 0 ? { snippets, savedAt: cachedTree.savedAt } : null;
+  };
+
+  // Run `task` as one timed phase, ending it whether or not the task fails
+  const timePhase = async (timer, name, task) => {
+    const end = timer.start(name);
+    try {
+      return await task();
+    } finally {
+      end();
+    }
+  };
+
+  const loadGistSnippets = async (source, timer) => {
+    const gist = await timePhase(timer, 'listing', () => fetchGist(source));
+
+    // Large gist files are truncated in the API response and must be fetched separately
+    const truncated = Object.values(gist.files).filter(file => isCodeFileName(file.filename) && file.truncated);
+    const fetched = await timePhase(timer, 'files', () => mapWithConcurrency(truncated, MAX_CONCURRENT_REQUESTS, async (file) => {
+      const response = await fetch(file.raw_url);
+      if (!response.ok) {
+        throw createFetchError('Failed to fetch file', response);
+      }
+      return createSnippet(source, toGistFile(gist, file), await response.text(), getGistHistory(gist, file));
+    }));
+
+    return [...getGistSnippets(source, gist), ...fetched];
+  };
+
+  const loadRepoSnippets = async (source, timer) => {
+    // Read before the listing is revalidated: it says which cached body belongs to each path
+    const previousTree = readCachedTree(source);
+    const cachedShas = new Map(previousTree ? previousTree.files.map(entry => [entry.path, entry.sha]) : []);
+
+    // Fetch repository contents, including every subfolder
+    const files = await timePhase(timer, 'listing', () => fetchGitHubTree(source));
+
+    // Filter code files
+    const codeFiles = files.filter(isCodeFile);
+    const fallbacks = [];
+
+    // Fetch content for each file
+    const snippets = await timePhase(timer, 'files', () => mapWithConcurrency(codeFiles, MAX_CONCURRENT_REQUESTS, async (file) => {
+      try {
+        const content = await fetchFileContent(source, file);
+        return createSnippet(source, toRepoFile(source, file), content);
+      } catch (err) {
+        // An older copy of the file beats dropping it from the grid
+        const cachedSha = cachedShas.get(file.path);
+        const cachedFile = cachedSha ? readCache(getFileCacheKey(source, cachedSha)) : null;
+        if (cachedFile) {
+          console.warn(`Failed to load ${file.path}, showing the cached copy:`, err);
+          fallbacks.push({ sha: cachedSha });
+          return createSnippet(source, { ...toRepoFile(source, file), sha: cachedSha }, cachedFile.content);
+        }
+
+        console.error(`Failed to load ${file.path}:`, err);
+        return null;
+      }
+    }));
+
+    // Only files gone from the listing lose their cached body
+    pruneFileCache(source, [...codeFiles, ...fallbacks]);
+
+    // Filter out failed loads
+    return snippets.filter(s => s !== null);
+  };
+
+  const loadSourceSnippets = (source, timer) =>
+    source.type === 'gist' ? loadGistSnippets(source, timer) : loadRepoSnippets(source, timer);
+
+  const showCacheNotice = (savedAt) => {
+    const noticeEl = document.getElementById('code-cache-notice');
+    if (!noticeEl) return;
+
+    noticeEl.innerHTML = `
+      <i class="fas fa-history"></i>
+      <span>Showing cached copy from ${escapeHtml(new Date(savedAt).toLocaleString())}</span>
+    `;
+    noticeEl.style.display = 'flex';
+  };
+
+  const hideCacheNotice = () => {
+    const noticeEl = document.getElementById('code-cache-notice');
+    if (noticeEl) {
+      noticeEl.style.display = 'none';
+    }
+  };
+
+  const describeSourceError = (error) => {
+    if (error.status === 404) return 'not found';
+    if (error.rateLimited) return 'rate limited';
+    return 'unavailable';
+  };
+
+  const showPartialWarning = (failures) => {
+    const warningEl = document.getElementById('code-partial-warning');
+    if (!warningEl) return;
+
+    const list = failures
+      .map(({ source, error }) => `${escapeHtml(source.label)} (${describeSourceError(error)})`)
+      .join(', ');
+
+    warningEl.innerHTML = `
+      <i class="fas fa-exclamation-circle"></i>
+      <span>Some snippets could not be loaded: ${list}</span>
+    `;
+    warningEl.style.display = 'flex';
+  };
+
+  const hidePartialWarning = () => {
+    const warningEl = document.getElementById('code-partial-warning');
+    if (warningEl) {
+      warningEl.style.display = 'none';
+    }
+  };
+
+  const showLoadError = (source, error) => {
+    const errorEl = document.getElementById('code-error');
+    errorEl.style.display = 'block';
+
+    // Update error message based on error type
+    if (error.status === 404) {
+      const name = source.type === 'gist' ? `gist ${source.gist}` : `${source.username}/${source.repo}`;
+      errorEl.innerHTML = `
+        <i class="fas fa-exclamation-triangle"></i>
+        <p>Repository not found.</p>
+        <small>Make sure "${escapeHtml(name)}" exists and is public.</small>
+      `;
+    } else if (error.rateLimited) {
+      errorEl.innerHTML = `
+        <i class="fas fa-exclamation-triangle"></i>
+        <p>GitHub rate limit reached.</p>
+        <small>Too many requests from your network. Please try again in a little while.</small>
+      `;
+    }
+  };
+
+  // Listing, file and render phases are reported as snippets.listing, snippets.files
+  // and snippets.render (see js/metrics.js)
   const loadSnippets = async () => {
+    const timer = createPhaseTimer('snippets');
+    try {
+      await fetchAndShowSnippets(timer);
+    } finally {
+      timer.finish();
+    }
+  };
+
+  const fetchAndShowSnippets = async (timer) => {
     const loadingEl = document.getElementById('code-loading');
     const errorEl = document.getElementById('code-error');
     const containerEl = document.getElementById('snippets-container');
-    
-    try {
+
+    const showTimedSnippets = (snippets) => {
+      const end = timer.start('render');
+      showSnippets(snippets);
+      end();
+    };
+
+    errorEl.style.display = 'none';
+    hideCacheNotice();
+    hidePartialWarning();
+
+    const sections = getManifestSections(await timePhase(timer, 'listing', fetchSnippetManifest));
+    const sources = getSources();
+
+    // Sources the manifest covers come from this site; the rest, or any whose manifest files fail, from GitHub
+    const loadSource = async (source) => {
+      const section = sections.get(source.id);
+      if (section) {
+        try {
+          return await timePhase(timer, 'files', () => loadManifestSnippets(source, section));
+        } catch (err) {
+          console.error(`Failed to load ${source.label} from the manifest, falling back to GitHub:`, err);
+        }
+      }
+      return loadSourceSnippets(source, timer);
+    };
+
+    // Render whatever we have cached straight away, then revalidate
+    const cached = sources.map(source => (sections.has(source.id) ? null : loadCachedSourceSnippets(source)));
+    const cachedSnippets = dedupeSnippets(cached.flatMap(c => (c ? c.snippets : [])));
+    if (cachedSnippets.length > 0) {
+      loadingEl.style.display = 'none';
+      showTimedSnippets(sortSnippets(cachedSnippets));
+    } else {
       loadingEl.style.display = 'flex';
-      errorEl.style.display = 'none';
       containerEl.innerHTML = '';
-      
-      // Fetch repository contents
-      const files = await fetchGitHubContents();
-      
-      // Filter code files
-      const codeFiles = files.filter(file => 
-        file.type === 'file' && 
-        /\.(cs|js|py|java|cpp|c|ts|jsx|tsx)$/i.test(file.name)
-      );
-      
-      if (codeFiles.length === 0) {
-        throw new Error('No code files found in the repository');
+    }
+
+    // Sources load independently so one failing never hides the others
+    const results = await Promise.allSettled(sources.map(loadSource));
+    const loaded = [];
+    const failures = [];
+    let staleSince = null;
+
+    results.forEach((result, i) => {
+      if (result.status === 'fulfilled') {
+        loaded.push(...result.value);
+        return;
       }
-      
-      // Fetch content for each file
-      allSnippets = await Promise.all(
-        codeFiles.map(async (file) => {
-          try {
-            const content = await fetchFileContent(file.download_url);
-            const metadata = parseSnippetMetadata(content, file.name);
-            
-            return {
-              filename: file.name,
-              content: content,
-              lines: content.split('\n').length,
-              metadata: metadata,
-              url: file.html_url
-            };
-          } catch (err) {
-            console.error(`Failed to load ${file.name}:`, err);
-            return null;
-          }
-        })
-      );
-      
-      // Filter out failed loads
-      allSnippets = allSnippets.filter(s => s !== null);
-      
-      // Sort by title
-      allSnippets.sort((a, b) => a.metadata.title.localeCompare(b.metadata.title));
-      
-      loadingEl.style.display = 'none';
-      renderSnippets();
-      
-    } catch (error) {
-      console.error('Error loading snippets:', error);
-      loadingEl.style.display = 'none';
-      errorEl.style.display = 'block';
-      
-      // Update error message based on error type
-      if (error.message.includes('404')) {
-        errorEl.innerHTML = `
-          <i class="fas fa-exclamation-triangle"></i>
-          <p>Repository not found.</p>
-          <small>Make sure your GitHub repository "${getConfig().username}/${getConfig().repo}" exists and is public.</small>
-        `;
+
+      console.error(`Error loading snippets from ${sources[i].label}:`, result.reason);
+
+      // Keep the stale copy on screen when GitHub is unreachable or rate limiting us
+      if (cached[i]) {
+        loaded.push(...cached[i].snippets);
+        staleSince = Math.min(staleSince || Infinity, cached[i].savedAt);
+      } else {
+        failures.push({ source: sources[i], error: result.reason });
+      }
+    });
+
+    loadingEl.style.display = 'none';
+
+    if (staleSince) {
+      showCacheNotice(staleSince);
+    }
+
+    const snippets = sortSnippets(dedupeSnippets(loaded));
+    if (snippets.length === 0) {
+      containerEl.innerHTML = '';
+      if (failures.length > 0) {
+        showLoadError(failures[0].source, failures[0].error);
+      } else {
+        errorEl.style.display = 'block';
       }
+      return;
+    }
+
+    if (failures.length > 0) {
+      showPartialWarning(failures);
     }
+
+    if (getSnippetsSignature(snippets) !== getSnippetsSignature(allSnippets)) {
+      showTimedSnippets(snippets);
+    }
+  };
+
+  // ==========================================
+  // COMMIT HISTORY
+  // ==========================================
+
+  // Repo history is fetched when a snippet is opened; until then the last cached copy is used
+  const getCachedHistory = (source, path) => {
+    const cached = source.type === 'github' ? readCache(getHistoryCacheKey(source, path)) : null;
+    return cached && Array.isArray(cached.data) ? cached.data : [];
+  };
+
+  // Gist revisions cover the whole gist and carry no message, but each has a raw URL per file
+  const getGistHistory = (gist, file) => (gist.history || [])
+    .slice(0, HISTORY_LIMIT)
+    .map(revision => ({
+      sha: revision.version,
+      date: revision.committed_at,
+      author: revision.user ? revision.user.login : null,
+      message: null,
+      url: `${gist.html_url}/${revision.version}`,
+      raw: gist.owner
+        ? `https://gist.githubusercontent.com/${gist.owner.login}/${gist.id}/raw/${revision.version}/${file.filename}`
+        : null
+    }));
+
+  const RELATIVE_UNITS = [
+    ['year', 365 * 24 * 3600],
+    ['month', 30 * 24 * 3600],
+    ['week', 7 * 24 * 3600],
+    ['day', 24 * 3600],
+    ['hour', 3600],
+    ['minute', 60]
+  ];
+
+  const formatRelativeDate = (date) => {
+    const seconds = (Date.parse(date) - Date.now()) / 1000;
+    if (Number.isNaN(seconds)) return '';
+
+    const [unit, size] = RELATIVE_UNITS.find(([, size]) => Math.abs(seconds) >= size) || ['second', 1];
+    return new Intl.RelativeTimeFormat('en', { numeric: 'auto' }).format(Math.round(seconds / size), unit);
+  };
+
+  // Revalidated at most once per file and page load; a failed request may be retried
+  const historyRequests = new Map();
+
+  // One commits request per file, so it is only made for the snippet being viewed
+  const loadSnippetHistory = async (snippet) => {
+    const source = getSources().find(s => s.id === snippet.source.id);
+    if (snippet.source.type !== 'github' || snippet.source.manifest || !source) return;
+
+    const key = getHistoryCacheKey(source, snippet.path);
+    if (!historyRequests.has(key)) {
+      historyRequests.set(key, fetchFileHistory(source, snippet.path));
+      historyRequests.get(key).catch(() => historyRequests.delete(key));
+    }
+
+    try {
+      const history = await historyRequests.get(key);
+      const commit = history.length > 0 ? history[0] : null;
+      const changed = (commit && commit.sha) !== (snippet.commit && snippet.commit.sha);
+      snippet.history = history;
+      snippet.commit = commit;
+
+      // Skip the re-render when nothing moved or a newer load replaced this snippet
+      if (changed && allSnippets.includes(snippet)) {
+        renderSnippets();
+      }
+      if (activeSnippet === snippet) {
+        renderModalHistory();
+      }
+    } catch (err) {
+      console.warn(`Failed to load history for ${snippet.path}:`, err);
+    }
+  };
+
+  // Line diff via longest common subsequence; snippets are small enough for the O(n*m) table
+  const diffLines = (before, after) => {
+    const a = before.split('\n');
+    const b = after.split('\n');
+
+    // Unchanged head and tail don't need to go through the table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const n = endA - start;
+    const m = endB - start;
+    const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i][j] = a[start + i] === b[start + j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const changes = a.slice(0, start).map(text => ({ type: 'same', text }));
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) {
+        changes.push({ type: 'same', text: a[start + i] });
+        i++;
+        j++;
+      } else if (i < n && (j === m || lengths[i + 1][j] >= lengths[i][j + 1])) {
+        changes.push({ type: 'removed', text: a[start + i] });
+        i++;
+      } else {
+        changes.push({ type: 'added', text: b[start + j] });
+        j++;
+      }
+    }
+
+    return changes.concat(a.slice(endA).map(text => ({ type: 'same', text })));
+  };
+
+  const DIFF_MARKERS = { same: ' ', added: '+', removed: '-' };
+
+  const renderDiff = (before, after) => {
+    const changes = diffLines(before, after);
+    if (!changes.some(change => change.type !== 'same')) {
+      return '<span class="diff-line diff-same">No changes to this file since that version.</span>';
+    }
+
+    return changes
+      .map(change => `<span class="diff-line diff-${change.type}">${DIFF_MARKERS[change.type]} ${escapeHtml(change.text)}</span>`)
+      .join('');
+  };
+
+  // Earlier versions never change, so each is fetched at most once per page load
+  const previousVersions = new Map();
+
+  const fetchPreviousVersion = (commit) => {
+    if (!previousVersions.has(commit.raw)) {
+      previousVersions.set(commit.raw, fetch(commit.raw).then(response => {
+        if (!response.ok) {
+          throw createFetchError('Failed to fetch file', response);
+        }
+        return response.text();
+      }));
+      // Let a failed fetch be retried
+      previousVersions.get(commit.raw).catch(() => previousVersions.delete(commit.raw));
+    }
+    return previousVersions.get(commit.raw);
+  };
+
+  const showDiff = async () => {
+    const snippet = activeSnippet;
+    const select = document.getElementById('modal-history-select');
+    const diffEl = document.getElementById('modal-diff');
+    const commit = snippet.history.find(c => c.sha === select.value);
+    if (!commit) return;
+
+    diffEl.textContent = 'Loading previous version...';
+    setModalView('diff');
+
+    try {
+      const previous = await fetchPreviousVersion(commit);
+      if (activeSnippet === snippet && select.value === commit.sha) {
+        diffEl.innerHTML = renderDiff(previous, snippet.content);
+      }
+    } catch (err) {
+      console.error('Failed to load previous version:', err);
+      if (activeSnippet === snippet) {
+        diffEl.textContent = 'That version could not be loaded.';
+      }
+    }
+  };
+
+  // "Updated 3 days ago by x · message", plus a picker of earlier versions to diff against
+  const renderModalHistory = () => {
+    const historyEl = document.getElementById('modal-history');
+    const summaryEl = document.getElementById('modal-history-summary');
+    const compareEl = document.getElementById('modal-history-compare');
+    const select = document.getElementById('modal-history-select');
+
+    const commit = activeSnippet && activeSnippet.commit;
+    if (!commit) {
+      historyEl.style.display = 'none';
+      return;
+    }
+
+    historyEl.style.display = '';
+    summaryEl.innerHTML = `
+      <i class="fas fa-history"></i>
+      Updated <time datetime="${escapeHtml(commit.date)}" title="${escapeHtml(new Date(commit.date).toLocaleString())}">${formatRelativeDate(commit.date)}</time>
+      ${commit.author ? `by ${escapeHtml(commit.author)}` : ''}
+      ${commit.message ? `&middot; <a href="${escapeHtml(commit.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(commit.message)}</a>` : ''}
+    `;
+
+    const previous = activeSnippet.history.slice(1).filter(c => c.raw);
+    compareEl.style.display = previous.length > 0 ? '' : 'none';
+    select.innerHTML = previous
+      .map(c => `<option value="${escapeHtml(c.sha)}">${escapeHtml(new Date(c.date).toLocaleDateString())} &middot; ${escapeHtml(c.message || c.sha.slice(0, 7))}</option>`)
+      .join('');
+  };
+
+  const initHistoryInteractions = () => {
+    const diffBtn = document.getElementById('modal-diff-btn');
+    const select = document.getElementById('modal-history-select');
+
+    diffBtn.addEventListener('click', () => {
+      if (diffBtn.getAttribute('aria-pressed') === 'true') {
+        setModalView('code');
+      } else {
+        showDiff();
+      }
+    });
+
+    // Switching versions while the diff is showing re-diffs against the new choice
+    select.addEventListener('change', () => {
+      if (diffBtn.getAttribute('aria-pressed') === 'true') {
+        showDiff();
+      }
+    });
+  };
+
+  // ==========================================
+  // SNIPPET RUNNER
+  // ==========================================
+
+  // Handle of the run in progress, if any
+  let activeRun = null;
+
+  const isRunnable = (snippet) => canRun(getLanguageFromExtension(snippet.filename));
+
+  const stopRun = () => {
+    if (activeRun) {
+      activeRun.stop();
+    }
+  };
+
+  // Hides the output panel and editor; called whenever a different snippet is shown
+  const resetRunner = () => {
+    const runnable = Boolean(activeSnippet) && isRunnable(activeSnippet);
+
+    stopRun();
+    document.getElementById('modal-run-btn').style.display = runnable ? '' : 'none';
+    document.getElementById('modal-edit-btn').style.display = runnable ? '' : 'none';
+    document.getElementById('modal-runner').style.display = 'none';
+    document.getElementById('modal-runner-output').innerHTML = '';
+    document.getElementById('modal-editor').value = activeSnippet ? activeSnippet.content : '';
+  };
+
+  const setRunning = (running) => {
+    document.getElementById('modal-run-btn').innerHTML = running
+      ? '<i class="fas fa-stop"></i> Stop'
+      : '<i class="fas fa-play"></i> Run';
+  };
+
+  const appendOutput = ({ level, text }) => {
+    const output = document.getElementById('modal-runner-output');
+    const line = document.createElement('div');
+    line.className = `runner-line runner-${level}`;
+    line.textContent = text;
+    output.appendChild(line);
+    output.scrollTop = output.scrollHeight;
+  };
+
+  const RUN_STATUS = {
+    finished: 'Finished',
+    error: 'Finished with errors',
+    timeout: 'Timed out',
+    stopped: 'Stopped'
+  };
+
+  // Runs the snippet, or the editor's contents when editing, in a sandboxed worker
+  const runActiveSnippet = async () => {
+    const snippet = activeSnippet;
+    const editing = document.getElementById('modal-edit-btn').getAttribute('aria-pressed') === 'true';
+    const code = editing ? document.getElementById('modal-editor').value : snippet.content;
+    const statusEl = document.getElementById('modal-runner-status');
+
+    stopRun();
+    document.getElementById('modal-runner').style.display = '';
+    document.getElementById('modal-runner-output').innerHTML = '';
+    statusEl.textContent = 'Running...';
+    setRunning(true);
+
+    const startedAt = performance.now();
+    const run = runSnippet(code, getLanguageFromExtension(snippet.filename), { onOutput: appendOutput });
+    activeRun = run;
+
+    const status = await run.done;
+    if (activeRun !== run) return;
+
+    activeRun = null;
+    setRunning(false);
+    statusEl.textContent = `${RUN_STATUS[status]} in ${Math.round(performance.now() - startedAt)} ms`;
+    if (status === 'finished' && !document.getElementById('modal-runner-output').hasChildNodes()) {
+      appendOutput({ level: 'info', text: 'No console output.' });
+    }
+  };
+
+  const initRunner = () => {
+    const runBtn = document.getElementById('modal-run-btn');
+    const editBtn = document.getElementById('modal-edit-btn');
+    const editor = document.getElementById('modal-editor');
+
+    runBtn.addEventListener('click', () => {
+      if (activeRun) {
+        stopRun();
+      } else {
+        runActiveSnippet();
+      }
+    });
+
+    // Edits are kept until another snippet is opened
+    editBtn.addEventListener('click', () => {
+      const editing = editBtn.getAttribute('aria-pressed') === 'true';
+      setModalView(editing ? 'code' : 'editor');
+      if (!editing) {
+        editor.focus();
+      }
+    });
+
+    // Ctrl/Cmd+Enter runs straight from the editor
+    editor.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        runActiveSnippet();
+      }
+    });
+
+    document.getElementById('modal-clear-output-btn').addEventListener('click', () => {
+      document.getElementById('modal-runner-output').innerHTML = '';
+    });
+  };
+
+  // ==========================================
+  // DOWNLOADS
+  // ==========================================
+
+  const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoked on the next tick so the download has started
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+  });
+
+  const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  };
+
+  // General purpose flag marking file names as UTF-8
+  const UTF8_NAMES = 0x0800;
+
+  // Minimal ZIP writer: files are stored uncompressed, which every unzip tool
+  // reads and which keeps this free of a compression library
+  const createZip = (files) => {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const header = (size, fields) => {
+      const view = new DataView(new ArrayBuffer(size));
+      fields.forEach(([offset, bytes, value]) => {
+        if (bytes === 4) view.setUint32(offset, value, true);
+        else view.setUint16(offset, value, true);
+      });
+      return new Uint8Array(view.buffer);
+    };
+
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    files.forEach(({ path, content }) => {
+      const name = encoder.encode(path);
+      const data = encoder.encode(content);
+      const crc = crc32(data);
+
+      const local = header(30, [
+        [0, 4, 0x04034b50], [4, 2, 20], [6, 2, UTF8_NAMES], [8, 2, 0], [10, 2, dosTime], [12, 2, dosDate],
+        [14, 4, crc], [18, 4, data.length], [22, 4, data.length], [26, 2, name.length], [28, 2, 0]
+      ]);
+      directory.push(header(46, [
+        [0, 4, 0x02014b50], [4, 2, 20], [6, 2, 20], [8, 2, UTF8_NAMES], [10, 2, 0], [12, 2, dosTime], [14, 2, dosDate],
+        [16, 4, crc], [20, 4, data.length], [24, 4, data.length], [28, 2, name.length],
+        [30, 2, 0], [32, 2, 0], [34, 2, 0], [36, 2, 0], [38, 4, 0], [42, 4, offset]
+      ]), name);
+
+      parts.push(local, name, data);
+      offset += local.length + name.length + data.length;
+    });
+
+    const directorySize = directory.reduce((size, part) => size + part.length, 0);
+    const end = header(22, [
+      [0, 4, 0x06054b50], [4, 2, 0], [6, 2, 0], [8, 2, files.length], [10, 2, files.length],
+      [12, 4, directorySize], [16, 4, offset], [20, 2, 0]
+    ]);
+
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+  };
+
+  // Snippets from secondary sources are stored under a folder named after the source
+  const getArchivePath = (snippet) => `snippets/${snippet.id.replace(':', '/')}`;
+
+  // README.md listing every exported snippet with its header metadata
+  const createReadmeIndex = (snippets) => {
+    const filters = [
+      currentCategory !== 'all' ? `category \`${formatCategoryLabel(currentCategory)}\`` : null,
+      currentQuery ? `search \`${currentQuery}\`` : null
+    ].filter(Boolean);
+
+    const entries = snippets.map(snippet => {
+      const { metadata } = snippet;
+      const lines = [
+        `## [${metadata.title}](${getArchivePath(snippet)})`,
+        '',
+        metadata.description || '_No description._',
+        '',
+        `- **Language:** ${metadata.language}`,
+        `- **Categories:** ${(metadata.categories.length > 0 ? metadata.categories : [metadata.category]).join(', ')}`
+      ];
+      if (metadata.tags.length > 0) lines.push(`- **Tags:** ${metadata.tags.join(', ')}`);
+      lines.push(`- **Source:** ${snippet.url}`);
+      return lines.join('\n');
+    });
+
+    return [
+      '# Code Snippets',
+      '',
+      `${snippets.length} snippet${snippets.length === 1 ? '' : 's'} exported from ${window.location.origin} on ${new Date().toISOString().slice(0, 10)}` +
+        (filters.length > 0 ? ` (filtered by ${filters.join(' and ')}).` : '.'),
+      '',
+      ...entries.map(entry => `${entry}\n`)
+    ].join('\n');
+  };
+
+  // Everything matching the current category and search, not just the visible page
+  const downloadFilteredSnippets = () => {
+    const snippets = getFilteredSnippets();
+    if (snippets.length === 0) return;
+
+    const zip = createZip([
+      { path: 'README.md', content: createReadmeIndex(snippets) },
+      ...snippets.map(snippet => ({ path: getArchivePath(snippet), content: snippet.content }))
+    ]);
+    downloadBlob(zip, `snippets-${currentCategory.replace(/\//g, '-')}.zip`);
+  };
+
+  const renderDownloadButton = (count) => {
+    const button = document.getElementById('snippets-download-btn');
+    if (!button) return;
+
+    button.disabled = count === 0;
+    button.title = `Download the ${count} snippet${count === 1 ? '' : 's'} shown as a .zip`;
+  };
+
+  const initDownloads = () => {
+    document.getElementById('snippets-download-btn')?.addEventListener('click', downloadFilteredSnippets);
+
+    document.getElementById('modal-download-btn').addEventListener('click', () => {
+      if (activeSnippet) {
+        downloadBlob(new Blob([activeSnippet.content], { type: 'text/plain' }), activeSnippet.filename);
+      }
+    });
   };
 
   // ==========================================
   // MODAL INTERACTIONS
   // ==========================================
 
+  // Copies `text` and briefly flips the button to a "Copied!" state
+  const copyToClipboard = async (button, text) => {
+    const originalHtml = button.innerHTML;
+
+    try {
+      await navigator.clipboard.writeText(text);
+      button.innerHTML = '<i class="fas fa-check"></i> Copied!';
+      button.classList.add('copied');
+      
+      setTimeout(() => {
+        button.innerHTML = originalHtml;
+        button.classList.remove('copied');
+      }, 2000);
+    } catch (err) {
+      console.error('Failed to copy:', err);
+    }
+  };
+
   const initModalInteractions = () => {
     const modal = document.getElementById('snippet-modal');
     const closeBtn = document.getElementById('modal-close-btn');
@@ -334,40 +2007,49 @@
       }
     });
     
-    // Close on Escape key
+    // Previous / next snippet
+    document.getElementById('modal-prev-btn')?.addEventListener('click', () => showAdjacentSnippet(-1));
+    document.getElementById('modal-next-btn')?.addEventListener('click', () => showAdjacentSnippet(1));
+
+    // Keyboard: Escape closes, Tab stays inside, arrows and PageUp/PageDown step through snippets.
+    // Form fields and the focusable code and diff blocks keep those keys for editing and scrolling.
     document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && modal.style.display === 'flex') {
+      if (!isModalOpen()) return;
+
+      if (e.key === 'Escape') {
         closeSnippetModal();
+      } else if (e.key === 'Tab') {
+        trapFocus(e);
+      } else if (!e.target.matches('input, select, textarea') && !e.target.closest('pre')) {
+        if (e.key === 'ArrowLeft' || e.key === 'PageUp') {
+          e.preventDefault();
+          showAdjacentSnippet(-1);
+        } else if (e.key === 'ArrowRight' || e.key === 'PageDown') {
+          e.preventDefault();
+          showAdjacentSnippet(1);
+        }
       }
     });
     
     // Copy code
-    copyBtn.addEventListener('click', async () => {
-      const code = document.getElementById('modal-code').textContent;
-      
-      try {
-        await navigator.clipboard.writeText(code);
-        copyBtn.innerHTML = '<i class="fas fa-check"></i> Copied!';
-        copyBtn.classList.add('copied');
-        
-        setTimeout(() => {
-          copyBtn.innerHTML = '<i class="fas fa-copy"></i> Copy';
-          copyBtn.classList.remove('copied');
-        }, 2000);
-      } catch (err) {
-        console.error('Failed to copy:', err);
-      }
+    copyBtn.addEventListener('click', () => {
+      copyToClipboard(copyBtn, document.getElementById('modal-code').textContent);
     });
+
+    initLineSelection();
+    initHistoryInteractions();
+    initRunner();
   };
 
   // ==========================================
   // UTILITY FUNCTIONS
   // ==========================================
 
+  // Quotes are escaped too, so the result is safe inside attribute values as well as text
   const escapeHtml = (text) => {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
   };
 
   // ==========================================
@@ -380,7 +2062,11 @@
       return;
     }
     
+    initRouting();
     initCategoryFilters();
+    initSearch();
+    initDownloads();
+    initSortAndPagination();
     initModalInteractions();
     loadSnippets();
     
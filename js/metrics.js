@@ -0,0 +1,306 @@
+/*!
+ * Performance Metrics
+ * Core Web Vitals and custom timings from PerformanceObserver, shown in an
+ * opt-in overlay (?debug=perf) and handed to any registered reporters
+ */
+
+(function () {
+    'use strict';
+
+    // ==========================================
+    // METRIC STORE AND REPORTERS
+    // ==========================================
+
+    // [good, poor] boundaries from web.dev; anything between needs improvement
+    const THRESHOLDS = {
+        LCP: [2500, 4000],
+        CLS: [0.1, 0.25],
+        INP: [200, 500],
+        FCP: [1800, 3000],
+        TTFB: [800, 1800]
+    };
+
+    const metrics = new Map();
+    const reporters = new Set();
+
+    const getRating = (name, value) => {
+        const thresholds = THRESHOLDS[name];
+        if (!thresholds) return null;
+        if (value <= thresholds[0]) return 'good';
+        return value <= thresholds[1] ? 'needs-improvement' : 'poor';
+    };
+
+    // Later values for the same name replace earlier ones (LCP and CLS grow over time)
+    const record = (name, value, unit = 'ms', detail = {}) => {
+        const metric = {
+            name,
+            value,
+            unit,
+            rating: getRating(name, value),
+            detail,
+            time: Math.round(performance.now())
+        };
+        metrics.set(name, metric);
+
+        reporters.forEach(reporter => {
+            try {
+                reporter(metric);
+            } catch (err) {
+                console.error('Metrics reporter failed:', err);
+            }
+        });
+    };
+
+    // Reporters get every metric recorded so far and each one after; returns an unsubscribe function
+    const addReporter = (reporter) => {
+        reporters.add(reporter);
+        metrics.forEach(metric => reporter(metric));
+        return () => reporters.delete(reporter);
+    };
+
+    // Batches metrics and POSTs them as JSON when the page is hidden, which is
+    // the last moment final LCP/CLS/INP values are known. Meant for a local
+    // collector, e.g. data-report-url="http://localhost:8787/metrics".
+    const createPostReporter = (url) => {
+        const pending = new Map();
+
+        const flush = () => {
+            if (pending.size === 0) return;
+
+            const body = JSON.stringify({
+                page: window.location.pathname,
+                metrics: [...pending.values()]
+            });
+            pending.clear();
+
+            const blob = new Blob([body], { type: 'application/json' });
+            if (!(navigator.sendBeacon && navigator.sendBeacon(url, blob))) {
+                fetch(url, { method: 'POST', body, headers: { 'Content-Type': 'application/json' }, keepalive: true })
+                    .catch(err => console.warn('Failed to report metrics:', err));
+            }
+        };
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                flush();
+            }
+        });
+
+        const reporter = (metric) => pending.set(metric.name, metric);
+        reporter.flush = flush;
+        return reporter;
+    };
+
+    // ==========================================
+    // WEB VITALS
+    // ==========================================
+
+    // Observing an unsupported entry type throws in some browsers and is ignored in others
+    const observe = (type, callback, options = {}) => {
+        const supported = window.PerformanceObserver && PerformanceObserver.supportedEntryTypes;
+        if (!supported || !supported.includes(type)) return;
+
+        new PerformanceObserver(list => callback(list.getEntries()))
+            .observe({ type, buffered: true, ...options });
+    };
+
+    const observeNavigation = () => {
+        if (typeof performance.getEntriesByType !== 'function') return;
+
+        const [navigation] = performance.getEntriesByType('navigation');
+        if (navigation) {
+            record('TTFB', Math.round(navigation.responseStart), 'ms', { type: navigation.type });
+        }
+    };
+
+    const observePaint = () => {
+        observe('paint', entries => {
+            const fcp = entries.find(entry => entry.name === 'first-contentful-paint');
+            if (fcp) {
+                record('FCP', Math.round(fcp.startTime));
+            }
+        });
+
+        observe('largest-contentful-paint', entries => {
+            const lcp = entries[entries.length - 1];
+            const element = lcp.element;
+            record('LCP', Math.round(lcp.startTime), 'ms', {
+                element: element ? element.tagName.toLowerCase() + (element.id ? `#${element.id}` : '') : null
+            });
+        });
+    };
+
+    // CLS is the worst burst of shifts: gaps under 1s, whole window under 5s
+    const observeLayoutShifts = () => {
+        let sessionValue = 0;
+        let sessionStart = 0;
+        let lastShift = 0;
+        let worst = 0;
+
+        observe('layout-shift', entries => {
+            entries.forEach(entry => {
+                if (entry.hadRecentInput) return;
+
+                if (entry.startTime - lastShift > 1000 || entry.startTime - sessionStart > 5000) {
+                    sessionValue = 0;
+                    sessionStart = entry.startTime;
+                }
+                sessionValue += entry.value;
+                lastShift = entry.startTime;
+                worst = Math.max(worst, sessionValue);
+            });
+
+            record('CLS', Number(worst.toFixed(4)), '');
+        });
+    };
+
+    // INP is roughly the 98th percentile interaction: the worst one, ignoring
+    // one outlier for every 50 interactions
+    const observeInteractions = () => {
+        const interactions = new Map();
+
+        const handleEntries = (entries) => {
+            entries.forEach(entry => {
+                if (!entry.interactionId) return;
+                const previous = interactions.get(entry.interactionId);
+                if (!previous || entry.duration > previous.duration) {
+                    interactions.set(entry.interactionId, { duration: entry.duration, type: entry.name });
+                }
+            });
+
+            if (interactions.size === 0) return;
+
+            const sorted = [...interactions.values()].sort((a, b) => b.duration - a.duration);
+            const inp = sorted[Math.min(sorted.length - 1, Math.floor(interactions.size / 50))];
+            record('INP', Math.round(inp.duration), 'ms', { interactions: interactions.size, type: inp.type });
+        };
+
+        observe('event', handleEntries, { durationThreshold: 40 });
+        observe('first-input', handleEntries);
+    };
+
+    // ==========================================
+    // CUSTOM PHASES
+    // ==========================================
+
+    // Times named phases of one operation. A phase may run several times and in
+    // parallel (e.g. one listing fetch per snippet source); its value is the wall
+    // time during which at least one run was in progress.
+    const createPhaseTimer = (prefix) => {
+        const phases = new Map();
+
+        const start = (name) => {
+            const begin = performance.now();
+            return () => {
+                if (!phases.has(name)) phases.set(name, []);
+                phases.get(name).push([begin, performance.now()]);
+            };
+        };
+
+        const finish = () => {
+            phases.forEach((spans, name) => {
+                const sorted = spans.sort((a, b) => a[0] - b[0]);
+                let total = 0;
+                let [runStart, runEnd] = sorted[0];
+
+                sorted.slice(1).forEach(([begin, end]) => {
+                    if (begin > runEnd) {
+                        total += runEnd - runStart;
+                        runStart = begin;
+                    }
+                    runEnd = Math.max(runEnd, end);
+                });
+                total += runEnd - runStart;
+
+                const metricName = `${prefix}.${name}`;
+                record(metricName, Math.round(total), 'ms', { runs: spans.length });
+
+                // Also visible in the browser's performance panel
+                try {
+                    performance.measure(metricName, { start: sorted[0][0], end: runEnd });
+                } catch (err) {
+                    // Older browsers only accept mark names here
+                }
+            });
+            phases.clear();
+        };
+
+        return { start, finish };
+    };
+
+    // ==========================================
+    // DEBUG OVERLAY
+    // ==========================================
+
+    const formatValue = (metric) =>
+        metric.unit === 'ms' ? `${metric.value.toLocaleString()} ms` : String(metric.value);
+
+    const initOverlay = () => {
+        const overlay = document.createElement('aside');
+        overlay.className = 'perf-overlay';
+        overlay.setAttribute('aria-label', 'Performance metrics');
+        overlay.innerHTML = `
+            <div class="perf-overlay-header">
+                <strong>Performance</strong>
+                <button type="button" class="perf-overlay-close" aria-label="Close performance overlay">
+                    <i class="fas fa-times" aria-hidden="true"></i>
+                </button>
+            </div>
+            <table class="perf-overlay-table"><tbody></tbody></table>
+        `;
+        document.body.appendChild(overlay);
+
+        const body = overlay.querySelector('tbody');
+        const render = () => {
+            body.innerHTML = '';
+            metrics.forEach(metric => {
+                const row = document.createElement('tr');
+                row.dataset.rating = metric.rating || '';
+                row.title = Object.entries(metric.detail)
+                    .filter(([, value]) => value !== null && value !== undefined)
+                    .map(([key, value]) => `${key}: ${value}`)
+                    .join('\n');
+                row.innerHTML = '<th scope="row"></th><td></td>';
+                row.querySelector('th').textContent = metric.name;
+                row.querySelector('td').textContent = formatValue(metric);
+                body.appendChild(row);
+            });
+        };
+
+        overlay.querySelector('.perf-overlay-close').addEventListener('click', () => overlay.remove());
+        addReporter(render);
+    };
+
+    // ==========================================
+    // INITIALIZATION
+    // ==========================================
+
+    // Read while this script is executing; currentScript is null afterwards
+    const reportUrl = document.currentScript && document.currentScript.dataset.reportUrl;
+
+    observeNavigation();
+    observePaint();
+    observeLayoutShifts();
+    observeInteractions();
+
+    if (reportUrl) {
+        addReporter(createPostReporter(reportUrl));
+    }
+
+    if (new URLSearchParams(window.location.search).get('debug') === 'perf') {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', initOverlay);
+        } else {
+            initOverlay();
+        }
+    }
+
+    window.Metrics = {
+        record,
+        addReporter,
+        createPostReporter,
+        createPhaseTimer,
+        getMetrics: () => [...metrics.values()]
+    };
+
+})();
@@ -0,0 +1,86 @@
+/*!
+ * Motion Preference
+ * Single source of truth for whether the page may animate: follows
+ * prefers-reduced-motion live unless the visitor has picked a setting
+ */
+
+(function () {
+    'use strict';
+
+    // ==========================================
+    // PREFERENCE
+    // ==========================================
+
+    // Keep the key and values in sync with the inline anti-flash script in index.html.
+    // Nothing stored means follow the operating system.
+    const MOTION_STORAGE_KEY = 'motion';
+    const REDUCE = 'reduce';
+    const FULL = 'full';
+
+    const mediaQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    const listeners = new Set();
+
+    const getSavedPreference = () => {
+        const saved = localStorage.getItem(MOTION_STORAGE_KEY);
+        return saved === REDUCE || saved === FULL ? saved : null;
+    };
+
+    const isReduced = () => {
+        const saved = getSavedPreference();
+        return saved ? saved === REDUCE : mediaQuery.matches;
+    };
+
+    // CSS hooks off the attribute to stop animations, transitions and smooth scrolling
+    const apply = () => {
+        const reduced = isReduced();
+        if (reduced) {
+            document.documentElement.setAttribute('data-motion', REDUCE);
+        } else {
+            document.documentElement.removeAttribute('data-motion');
+        }
+        listeners.forEach(listener => listener(reduced));
+    };
+
+    // Choosing what the system already asks for goes back to following the system
+    const setReduced = (reduced) => {
+        if (reduced === mediaQuery.matches) {
+            localStorage.removeItem(MOTION_STORAGE_KEY);
+        } else {
+            localStorage.setItem(MOTION_STORAGE_KEY, reduced ? REDUCE : FULL);
+        }
+        apply();
+    };
+
+    // Returns an unsubscribe function
+    const onChange = (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    };
+
+    // ==========================================
+    // INITIALIZATION
+    // ==========================================
+
+    mediaQuery.addEventListener('change', () => {
+        if (!getSavedPreference()) {
+            apply();
+        }
+    });
+
+    // Another tab changed the setting (key is null when storage was cleared)
+    window.addEventListener('storage', (e) => {
+        if (e.key === null || e.key === MOTION_STORAGE_KEY) {
+            apply();
+        }
+    });
+
+    window.Motion = {
+        isReduced,
+        isFollowingSystem: () => getSavedPreference() === null,
+        setReduced,
+        onChange
+    };
+
+    apply();
+
+})();
@@ -0,0 +1,142 @@
+/*!
+ * Section Tracker
+ * One shared scroll service: highlights the active nav link, keeps the URL
+ * hash on the current section and hands rAF-throttled scroll positions to
+ * effects such as parallax
+ */
+
+(function () {
+    'use strict';
+
+    // ==========================================
+    // SCROLL SUBSCRIPTIONS
+    // ==========================================
+
+    const scrollListeners = new Set();
+    let frameRequested = false;
+    let hasScrolled = false;
+
+    // At most one callback round per animation frame, however often scroll fires
+    const handleScroll = () => {
+        if (frameRequested) return;
+
+        frameRequested = true;
+        window.requestAnimationFrame(() => {
+            frameRequested = false;
+            const scrollY = window.pageYOffset;
+            scrollListeners.forEach(listener => listener(scrollY));
+        });
+    };
+
+    // Returns an unsubscribe function; the passive listener is only attached while someone listens
+    const onScroll = (listener) => {
+        if (scrollListeners.size === 0) {
+            window.addEventListener('scroll', handleScroll, { passive: true });
+        }
+        scrollListeners.add(listener);
+        listener(window.pageYOffset);
+
+        return () => {
+            scrollListeners.delete(listener);
+            if (scrollListeners.size === 0) {
+                window.removeEventListener('scroll', handleScroll);
+            }
+        };
+    };
+
+    // ==========================================
+    // ACTIVE SECTION
+    // ==========================================
+
+    const sectionListeners = new Set();
+    let activeSection = null;
+
+    const onSectionChange = (listener) => {
+        sectionListeners.add(listener);
+        if (activeSection) listener(activeSection);
+        return () => sectionListeners.delete(listener);
+    };
+
+    const setActiveSection = (id) => {
+        if (id === activeSection) return;
+        activeSection = id;
+        sectionListeners.forEach(listener => listener(id));
+    };
+
+    // A section counts as current while it crosses a band 40% down the viewport
+    const observeSections = () => {
+        const sections = [...document.querySelectorAll('.resume-section[id]')];
+        if (sections.length === 0) return;
+
+        const visible = new Set();
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    visible.add(entry.target);
+                } else {
+                    visible.delete(entry.target);
+                }
+            });
+
+            // The first visible section in document order wins when two share the band
+            const current = sections.find(section => visible.has(section));
+            if (current) {
+                setActiveSection(current.id);
+            }
+        }, { rootMargin: '-40% 0px -59% 0px' });
+
+        sections.forEach(section => observer.observe(section));
+    };
+
+    // ==========================================
+    // NAV LINKS AND URL HASH
+    // ==========================================
+
+    const highlightNav = (id) => {
+        document.querySelectorAll('#sideNav .nav-link').forEach(link => {
+            const isActive = link.getAttribute('href') === `#${id}`;
+            link.classList.toggle('active', isActive);
+            if (isActive) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    };
+
+    // Replaced rather than pushed so scrolling never fills the back button.
+    // Waits for a real scroll so a deep link isn't overwritten before the
+    // browser jumps to it, and leaves the hash alone while it holds a route
+    // after `?` (snippet filters or an open snippet) so that state survives.
+    const updateHash = (id) => {
+        if (!hasScrolled) return;
+
+        const [currentSection, route] = window.location.hash.slice(1).split('?');
+        if (currentSection === id || route) return;
+
+        history.replaceState(history.state, '', `#${id}`);
+    };
+
+    // ==========================================
+    // INITIALIZATION
+    // ==========================================
+
+    const init = () => {
+        window.addEventListener('scroll', () => { hasScrolled = true; }, { once: true, passive: true });
+        onSectionChange(highlightNav);
+        onSectionChange(updateHash);
+        observeSections();
+    };
+
+    window.SectionTracker = {
+        onScroll,
+        onSectionChange
+    };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+})();
@@ -0,0 +1,365 @@
+/*!
+ * Snippet Metadata Parser and Language Registry
+ * Shared by the browser snippet loader and the build-time manifest generator
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SnippetMetadata = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // ==========================================
+  // LANGUAGE REGISTRY
+  // ==========================================
+
+  // Single source of truth for which files count as snippets, what language
+  // they are, and which Prism grammar highlights them
+  const LANGUAGES = {
+    csharp: { extensions: ['cs'], prism: 'csharp' },
+    javascript: { extensions: ['js', 'mjs', 'cjs'], prism: 'javascript' },
+    typescript: { extensions: ['ts'], prism: 'typescript' },
+    jsx: { extensions: ['jsx'], prism: 'jsx' },
+    tsx: { extensions: ['tsx'], prism: 'tsx' },
+    python: { extensions: ['py'], prism: 'python', comments: 'hash' },
+    java: { extensions: ['java'], prism: 'java' },
+    cpp: { extensions: ['cpp', 'cc', 'hpp', 'h'], prism: 'cpp' },
+    c: { extensions: ['c'], prism: 'c' },
+    go: { extensions: ['go'], prism: 'go' },
+    rust: { extensions: ['rs'], prism: 'rust' },
+    php: { extensions: ['php'], prism: 'php', comments: 'php' },
+    ruby: { extensions: ['rb'], prism: 'ruby', comments: 'hash' }
+  };
+
+  // Comment syntax a snippet header can be written in; languages default to 'cFamily'
+  const COMMENT_STYLES = {
+    cFamily: { line: ['///', '//'], block: ['/*', '*/'] },
+    hash: { line: ['#'], block: null },
+    php: { line: ['///', '//', '#'], block: ['/*', '*/'] }
+  };
+
+  // Unknown extensions have always been treated as C#
+  const DEFAULT_LANGUAGE = 'csharp';
+
+  // Prism components that must be loaded before a grammar (mirrors Prism's components.json)
+  const PRISM_DEPENDENCIES = {
+    c: ['clike'],
+    cpp: ['c'],
+    csharp: ['clike'],
+    go: ['clike'],
+    java: ['clike'],
+    javascript: ['clike'],
+    jsx: ['markup', 'javascript'],
+    php: ['markup-templating'],
+    'markup-templating': ['markup'],
+    ruby: ['clike'],
+    tsx: ['jsx', 'typescript'],
+    typescript: ['javascript']
+  };
+
+  const EXTENSION_MAP = Object.keys(LANGUAGES).reduce((map, language) => {
+    LANGUAGES[language].extensions.forEach(ext => { map[ext] = language; });
+    return map;
+  }, {});
+
+  const CODE_FILE_PATTERN = new RegExp(`\\.(${Object.keys(EXTENSION_MAP).join('|')})$`, 'i');
+
+  const isCodeFileName = (filename) => CODE_FILE_PATTERN.test(filename);
+
+  const getLanguageFromExtension = (filename) => {
+    const ext = filename.split('.').pop().toLowerCase();
+    return EXTENSION_MAP[ext] || DEFAULT_LANGUAGE;
+  };
+
+  // Every Prism component needed for `language`, dependencies first
+  const getPrismComponents = (language) => {
+    const components = [];
+    const visit = (component) => {
+      if (components.includes(component)) return;
+      (PRISM_DEPENDENCIES[component] || []).forEach(visit);
+      components.push(component);
+    };
+
+    visit((LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE]).prism);
+    return components;
+  };
+
+  // ==========================================
+  // METADATA PARSING
+  // ==========================================
+
+  // 'systems/pooling' -> ['systems', 'systems/pooling'], so filtering by a
+  // parent folder also matches everything nested below it
+  const getFolderCategories = (folderPath) => {
+    const segments = (folderPath || '').toLowerCase().split('/').filter(s => s);
+    return segments.map((segment, i) => segments.slice(0, i + 1).join('/'));
+  };
+
+  const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+  // Header keys are matched case-insensitively, ignoring '-' and '_'
+  const FIELD_NAMES = {
+    title: 'title',
+    description: 'description',
+    category: 'categories',
+    categories: 'categories',
+    tags: 'tags',
+    author: 'author',
+    date: 'date',
+    unityversion: 'unityVersion',
+    related: 'related',
+    difficulty: 'difficulty',
+    featured: 'featured'
+  };
+
+  const normalizeFieldName = (key) => FIELD_NAMES[key.toLowerCase().replace(/[-_]/g, '')];
+
+  const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(item => item);
+
+  // Strips one quoted or [inline, list] YAML scalar
+  const parseScalar = (raw) => {
+    const value = raw.trim();
+    const quoted = value.match(/^(["'])(.*)\1$/);
+    if (quoted) return quoted[2];
+    if (/^\[.*\]$/.test(value)) return toList(value.slice(1, -1)).map(parseScalar);
+    return value;
+  };
+
+  const applyField = (metadata, key, value, warnings) => {
+    const field = normalizeFieldName(key);
+
+    switch (field) {
+      case 'title':
+      case 'description':
+      case 'author':
+      case 'unityVersion':
+        metadata[field] = String(value).trim();
+        break;
+
+      case 'categories': {
+        const cats = toList(value).map(c => c.toLowerCase());
+        if (cats.length > 0) {
+          metadata.category = cats[0]; // Primary category
+          metadata.categories = cats; // All categories
+        }
+        break;
+      }
+
+      case 'tags':
+      case 'related':
+        metadata[field] = toList(value);
+        break;
+
+      case 'date':
+        if (!/^\d{4}-\d{2}-\d{2}/.test(value) || isNaN(Date.parse(value))) {
+          warnings.push(`"date" should be YYYY-MM-DD, got "${value}"`);
+        }
+        metadata.date = String(value).trim();
+        break;
+
+      case 'difficulty':
+        metadata.difficulty = String(value).trim().toLowerCase();
+        if (!DIFFICULTIES.includes(metadata.difficulty)) {
+          warnings.push(`"difficulty" should be one of ${DIFFICULTIES.join(', ')}, got "${value}"`);
+        }
+        break;
+
+      case 'featured':
+        if (/^(true|yes)$/i.test(value)) {
+          metadata.featured = true;
+        } else if (/^(false|no)$/i.test(value)) {
+          metadata.featured = false;
+        } else {
+          warnings.push(`"featured" should be true or false, got "${value}"`);
+        }
+        break;
+
+      default:
+        warnings.push(`Unknown header field "${key}"`);
+    }
+  };
+
+  // Returns the text of the comment the file opens with, markers removed
+  // but indentation kept, or null when the file doesn't start with one
+  const extractLeadingComment = (content, language, warnings) => {
+    const style = COMMENT_STYLES[(LANGUAGES[language] || {}).comments || 'cFamily'];
+    const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+    // Shebangs, PHP open tags and blank lines may precede the header
+    let i = 0;
+    while (i < lines.length && /^\s*$|^#!|^\s*<\?php\s*$/.test(lines[i])) i++;
+
+    const first = (lines[i] || '').trim();
+
+    if (style.block && first.startsWith(style.block[0])) {
+      const [open, close] = style.block;
+      const body = [];
+
+      for (let j = i; j < lines.length; j++) {
+        let line = j === i ? lines[j].replace(/^\s*\/\*+/, '') : lines[j].replace(/^\s*\*(?!\/) ?/, '');
+        const closeIndex = line.indexOf(close);
+        if (closeIndex !== -1) {
+          body.push(line.slice(0, closeIndex).replace(/\s*\*+$/, ''));
+          return body;
+        }
+        body.push(line);
+      }
+
+      warnings.push(`Header comment opened with "${open}" is never closed`);
+      return body;
+    }
+
+    const body = [];
+    for (; i < lines.length; i++) {
+      const line = lines[i].trim();
+      const marker = style.line.find(m => line.startsWith(m));
+      if (!marker) break;
+      body.push(line.slice(marker.length).replace(/^ /, ''));
+    }
+    return body.length > 0 ? body : null;
+  };
+
+  const getIndent = (line) => line.match(/^\s*/)[0].length;
+
+  // Parses the YAML subset used by snippet headers: `key: value`, inline
+  // [lists], `- item` lists and `|` / `>` block scalars for multi-line text
+  const parseFrontMatter = (headerLines, warnings) => {
+    const start = headerLines.findIndex(line => line.trim() === '---');
+    if (start === -1) return null;
+
+    let end = headerLines.findIndex((line, i) => i > start && line.trim() === '---');
+    if (end === -1) {
+      warnings.push('Front-matter block is missing its closing "---"');
+      end = headerLines.length;
+    }
+
+    const body = headerLines.slice(start + 1, end);
+    const fields = [];
+
+    for (let i = 0; i < body.length; i++) {
+      const line = body[i];
+      if (!line.trim()) continue;
+
+      const match = getIndent(line) === 0 && line.match(/^([A-Za-z][\w-]*)\s*:(.*)$/);
+      if (!match) {
+        warnings.push(`Front-matter line ${i + 1} is not "key: value": ${line.trim()}`);
+        continue;
+      }
+
+      const [, key, rest] = match;
+      const raw = rest.trim();
+
+      // Indented lines (and blank lines between them) belong to this key
+      const continuation = [];
+      while (i + 1 < body.length && (!body[i + 1].trim() || getIndent(body[i + 1]) > 0)) {
+        continuation.push(body[++i]);
+      }
+      while (continuation.length > 0 && !continuation[continuation.length - 1].trim()) {
+        continuation.pop();
+      }
+
+      let value;
+      if (/^[|>][-+]?$/.test(raw)) {
+        const indent = Math.min(...continuation.filter(l => l.trim()).map(getIndent));
+        const text = continuation.map(l => l.slice(indent));
+        value = raw[0] === '|'
+          ? text.join('\n')
+          : text.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ');
+      } else if (!raw && continuation.some(l => /^\s*- /.test(l))) {
+        value = continuation.filter(l => l.trim()).map(l => parseScalar(l.replace(/^\s*- /, '')));
+      } else {
+        // Plain multi-line values fold into one line, as in YAML
+        value = parseScalar([raw, ...continuation.map(l => l.trim())].filter(l => l).join(' '));
+      }
+
+      fields.push([key, value]);
+    }
+
+    return fields;
+  };
+
+  // Legacy `@key: value` lines anywhere in the first 20 lines of the file
+  const parseTagLines = (content) => {
+    const fields = [];
+
+    content.split('\n').slice(0, 20).forEach(rawLine => {
+      const line = rawLine
+        .trim()
+        .replace(/^(\/\/\/?|#|\/\*+|\*)\s*/, '')
+        .replace(/\s*\*\/\s*$/, '');
+      const match = line.match(/@(\w+):(.*)$/);
+      if (match) {
+        fields.push([match[1], match[2].trim()]);
+      }
+    });
+
+    return fields;
+  };
+
+  const parseSnippetMetadata = (content, filename, folderPath = '') => {
+    const language = getLanguageFromExtension(filename);
+    const warnings = [];
+    const metadata = {
+      title: filename.replace(CODE_FILE_PATTERN, ''),
+      description: '',
+      category: 'utilities',
+      categories: [], // Support multiple categories
+      language: language,
+      tags: [],
+      author: '',
+      date: null,
+      unityVersion: '',
+      related: [],
+      difficulty: '',
+      featured: false,
+      warnings: warnings
+    };
+
+    // Prefer a `---` front-matter block in the leading comment, then legacy @key: lines
+    const headerLines = extractLeadingComment(content, language, warnings);
+    const frontMatter = headerLines ? parseFrontMatter(headerLines, warnings) : null;
+    const fields = frontMatter || parseTagLines(content);
+
+    fields.forEach(([key, value]) => applyField(metadata, key, value, warnings));
+
+    // Files without an explicit category are categorised by their folder
+    if (metadata.categories.length === 0) {
+      const folderCategories = getFolderCategories(folderPath);
+      if (folderCategories.length > 0) {
+        metadata.category = folderCategories[0];
+        metadata.categories = folderCategories;
+      }
+    }
+
+    // If no description found in metadata, try to extract from summary comment
+    if (!metadata.description && !frontMatter) {
+      const summaryMatch = content.match(/\/\/\/?\s*<summary>([\s\S]*?)<\/summary>/i) || 
+                          content.match(/\/\*\*([\s\S]*?)\*\//);
+      if (summaryMatch) {
+        metadata.description = summaryMatch[1]
+          .replace(/<\/?summary>/gi, '')
+          // Only the comment marker at the start of each line, so URLs and `a * b` survive
+          .replace(/^\s*\/\/\/?\s?/gm, '')
+          .replace(/^\s*\*+\s?/gm, '')
+          .trim()
+          .split('\n')[0]; // Take first line only
+      }
+    }
+
+    return metadata;
+  };
+
+  return {
+    LANGUAGES,
+    parseSnippetMetadata,
+    getLanguageFromExtension,
+    getPrismComponents,
+    getFolderCategories,
+    isCodeFileName
+  };
+});
@@ -0,0 +1,950 @@
+/*!
+ * Snippet Runner
+ * Runs JavaScript and TypeScript snippets in a Web Worker, erasing TypeScript
+ * types in the browser so no compiler has to be downloaded
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SnippetRunner = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Languages (as named in the SnippetMetadata registry) that get a Run button
+  const RUNNABLE_LANGUAGES = ['javascript', 'typescript'];
+
+  const canRun = (language) => RUNNABLE_LANGUAGES.includes(language);
+
+  // ==========================================
+  // TOKENIZER
+  // ==========================================
+
+  // Longest first. `>>` and `>>>` are left as single `>` tokens so nested
+  // generics like Map<string, Array<number>> close cleanly.
+  const PUNCTUATORS = [
+    '...', '===', '!==', '**=', '<<=', '&&=', '||=', '??=',
+    '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--',
+    '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<'
+  ];
+
+  // Keywords after which a `/` starts a regular expression rather than a division
+  const REGEX_PREFIX_KEYWORDS = new Set([
+    'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+    'throw', 'case', 'do', 'else', 'yield', 'await'
+  ]);
+
+  const readString = (src, i) => {
+    const quote = src[i++];
+    while (i < src.length) {
+      const ch = src[i];
+      if (ch === '\\') {
+        i += 2;
+      } else if (ch === quote) {
+        return i + 1;
+      } else if (ch === '\n') {
+        return i;
+      } else {
+        i++;
+      }
+    }
+    return i;
+  };
+
+  // Template literals, including `${...}` expressions that hold strings and templates of their own
+  const readTemplate = (src, i) => {
+    i++;
+    while (i < src.length) {
+      const ch = src[i];
+      if (ch === '\\') {
+        i += 2;
+      } else if (ch === '`') {
+        return i + 1;
+      } else if (ch === '$' && src[i + 1] === '{') {
+        i = readTemplateExpression(src, i + 2);
+      } else {
+        i++;
+      }
+    }
+    return i;
+  };
+
+  const readTemplateExpression = (src, i) => {
+    let depth = 0;
+    while (i < src.length) {
+      const ch = src[i];
+      if (ch === '"' || ch === '\'') {
+        i = readString(src, i);
+        continue;
+      }
+      if (ch === '`') {
+        i = readTemplate(src, i);
+        continue;
+      }
+      if (ch === '{') depth++;
+      if (ch === '}') {
+        if (depth === 0) return i + 1;
+        depth--;
+      }
+      i++;
+    }
+    return i;
+  };
+
+  const readRegex = (src, i) => {
+    let inClass = false;
+    i++;
+    while (i < src.length && src[i] !== '\n') {
+      const ch = src[i];
+      if (ch === '\\') {
+        i += 2;
+        continue;
+      }
+      if (ch === '[') inClass = true;
+      if (ch === ']') inClass = false;
+      i++;
+      if (ch === '/' && !inClass) break;
+    }
+    while (i < src.length && /[a-z]/i.test(src[i])) i++;
+    return i;
+  };
+
+  // Splits source into { type, value } tokens; whitespace and comments are kept
+  // so the output can be stitched back together with its original layout
+  const tokenize = (src) => {
+    const tokens = [];
+    let last = null;
+    let i = 0;
+
+    const push = (type, end) => {
+      const token = { type, value: src.slice(i, end) };
+      tokens.push(token);
+      if (type !== 'ws' && type !== 'comment') last = token;
+      i = end;
+    };
+
+    while (i < src.length) {
+      const ch = src[i];
+      const next = src[i + 1];
+
+      if (/\s/.test(ch)) {
+        let end = i + 1;
+        while (end < src.length && /\s/.test(src[end])) end++;
+        push('ws', end);
+      } else if (ch === '/' && next === '/') {
+        const end = src.indexOf('\n', i);
+        push('comment', end === -1 ? src.length : end);
+      } else if (ch === '/' && next === '*') {
+        const end = src.indexOf('*/', i + 2);
+        push('comment', end === -1 ? src.length : end + 2);
+      } else if (ch === '"' || ch === '\'') {
+        push('string', readString(src, i));
+      } else if (ch === '`') {
+        push('template', readTemplate(src, i));
+      } else if (/[A-Za-z_$#À-￿]/.test(ch)) {
+        let end = i + 1;
+        while (end < src.length && /[\w$À-￿]/.test(src[end])) end++;
+        push('ident', end);
+      } else if (/\d/.test(ch) || (ch === '.' && /\d/.test(next))) {
+        let end = i + 1;
+        while (end < src.length && /[\w.]/.test(src[end])) end++;
+        push('number', end);
+      } else if (ch === '/' && (!last || (last.type === 'punct' && !/^[)\]}]$/.test(last.value)) ||
+          (last.type === 'ident' && REGEX_PREFIX_KEYWORDS.has(last.value)))) {
+        push('regex', readRegex(src, i));
+      } else {
+        const punct = PUNCTUATORS.find(p => src.startsWith(p, i)) || ch;
+        push('punct', i + punct.length);
+      }
+    }
+
+    return tokens;
+  };
+
+  // ==========================================
+  // TYPE ERASURE
+  // ==========================================
+
+  // Modifiers TypeScript allows on class members and constructor parameters
+  const MEMBER_MODIFIERS = new Set(['public', 'private', 'protected', 'readonly', 'override', 'declare', 'abstract']);
+
+  // Tokens that keep a type going onto the next line
+  const TYPE_CONTINUATIONS = new Set(['|', '&', '.', '[', '<', '=>', 'extends', '?', ':', 'is']);
+
+  // Tokens that put a type back into "expecting an operand" state
+  const TYPE_OPERATORS = new Set(['|', '&', '=>', '.', '...', '-', 'keyof', 'typeof', 'infer', 'readonly', 'unique', 'is', 'asserts', 'new', 'extends']);
+
+  // Tokens allowed between the angle brackets of a generic argument list
+  const GENERIC_PUNCTUATION = new Set([',', '.', '[', ']', '{', '}', '(', ')', '|', '&', '=>', '?', ':', ';', '=', '<', '>', '...', '-']);
+
+  const isExpressionEnd = (token) => token && (
+    (token.type === 'ident' && !REGEX_PREFIX_KEYWORDS.has(token.value)) ||
+    token.type === 'string' || token.type === 'number' || token.type === 'template' ||
+    token.value === ')' || token.value === ']' || token.value === '}'
+  );
+
+  const blank = (text) => text.replace(/[^\n]/g, ' ');
+
+  // A deliberately small eraser for the TypeScript snippets are written in:
+  // annotations, generics, interfaces, type aliases, `as`/`satisfies`, non-null
+  // assertions, access modifiers, parameter properties, `this` parameters,
+  // overloads and enums. Namespaces, decorators and `<T>x` casts are reported
+  // as unsupported rather than left to fail as syntax errors.
+  // test/snippet-runner.test.js pins down the supported subset.
+  const eraseTypes = (tokens, { typescript }) => {
+    // Indices of the significant (non-whitespace, non-comment) tokens
+    const sig = [];
+    tokens.forEach((token, i) => {
+      if (token.type !== 'ws' && token.type !== 'comment') sig.push(i);
+    });
+
+    const removed = new Set();
+    const before = new Map();
+    const after = new Map();
+
+    const tok = (p) => (p >= 0 && p < sig.length ? tokens[sig[p]] : null);
+    const val = (p) => (tok(p) ? tok(p).value : null);
+
+    const newlineBefore = (p) => {
+      for (let i = sig[p] - 1; i > (p > 0 ? sig[p - 1] : -1); i--) {
+        if (tokens[i].value.includes('\n')) return true;
+      }
+      return false;
+    };
+
+    const touchesPrevious = (p) => p > 0 && sig[p] === sig[p - 1] + 1;
+
+    // Removes significant tokens from..to (inclusive) and everything between them
+    const remove = (from, to) => {
+      for (let i = sig[from]; i <= sig[to]; i++) removed.add(i);
+    };
+
+    const keptBefore = (p) => {
+      let q = p - 1;
+      while (q >= 0 && removed.has(sig[q])) q--;
+      return q;
+    };
+
+    const lineOf = (p) => tokens.slice(0, sig[p]).reduce((n, t) => n + (t.value.match(/\n/g) || []).length, 1);
+
+    const matching = (p) => {
+      const open = val(p);
+      const close = { '(': ')', '[': ']', '{': '}' }[open];
+      let depth = 0;
+      for (let q = p; q < sig.length; q++) {
+        if (val(q) === open) depth++;
+        if (val(q) === close && --depth === 0) return q;
+      }
+      return sig.length - 1;
+    };
+
+    // Index of the first token after the type starting at p
+    const skipType = (p, { stopAtArrow = false } = {}) => {
+      let depth = 0;
+      let expectOperand = true;
+      let sawExtends = false;
+      let conditional = 0;
+
+      for (; p < sig.length; p++) {
+        const v = val(p);
+        const t = tok(p).type;
+
+        if (depth === 0) {
+          if (!expectOperand && newlineBefore(p) && !TYPE_CONTINUATIONS.has(v)) return p;
+          if (v === '{' && !expectOperand) return p;
+          if ([',', ';', '=', ')', ']', '}', '>'].includes(v)) return p;
+          if (v === '=>' && stopAtArrow) return p;
+          if (v === '?') {
+            if (!sawExtends) return p;
+            conditional++;
+            expectOperand = true;
+            continue;
+          }
+          if (v === ':') {
+            if (conditional === 0) return p;
+            conditional--;
+            expectOperand = true;
+            continue;
+          }
+          if ((t === 'ident' || t === 'string' || t === 'number' || t === 'template') &&
+              !expectOperand && !TYPE_OPERATORS.has(v)) {
+            return p;
+          }
+        }
+
+        if (v === '(' || v === '[' || v === '{' || v === '<') {
+          depth++;
+          expectOperand = true;
+        } else if (v === ')' || v === ']' || v === '}' || v === '>') {
+          depth--;
+          expectOperand = false;
+        } else if (v === ',' || v === ';' || v === ':' || v === '=' || v === '?') {
+          expectOperand = true;
+        } else if (TYPE_OPERATORS.has(v)) {
+          if (v === 'extends' && depth === 0) sawExtends = true;
+          expectOperand = true;
+        } else if (t === 'ident' || t === 'string' || t === 'number' || t === 'template') {
+          expectOperand = false;
+        } else if (depth === 0) {
+          return p;
+        }
+      }
+
+      return p;
+    };
+
+    // Closing `>` of a generic list starting at p, or -1 when the `<` is a comparison
+    const matchGeneric = (p) => {
+      let depth = 0;
+      for (let q = p; q < sig.length; q++) {
+        const v = val(q);
+        const t = tok(q).type;
+        if (v === '<') depth++;
+        if (v === '>' && --depth === 0) return q;
+        if (t === 'punct' && !GENERIC_PUNCTUATION.has(v)) return -1;
+        if (t === 'regex') return -1;
+      }
+      return -1;
+    };
+
+    // End of a simple statement such as an import or a type alias
+    const statementEnd = (p) => {
+      let depth = 0;
+      for (let q = p; q < sig.length; q++) {
+        const v = val(q);
+        if (v === '(' || v === '[' || v === '{') depth++;
+        if (v === ')' || v === ']' || v === '}') depth--;
+        if (depth === 0 && v === ';') return q;
+        if (depth === 0 && q + 1 < sig.length && newlineBefore(q + 1) &&
+            (isExpressionEnd(tok(q)) || tok(q).type === 'string') && !TYPE_CONTINUATIONS.has(val(q + 1))) {
+          return q;
+        }
+      }
+      return sig.length - 1;
+    };
+
+    const removeStatement = (p) => {
+      const end = statementEnd(p);
+      remove(p, end);
+      return end + 1;
+    };
+
+    // `enum E { A, B = 4, C = 'c' }` becomes the object TypeScript itself emits
+    const convertEnum = (start, p) => {
+      const name = val(p + 1);
+      const open = p + 2;
+      const close = matching(open);
+      const assignments = [];
+      let previous = null;
+      let nextValue = 0;
+
+      let q = open + 1;
+      while (q < close) {
+        const member = tok(q).type === 'string' ? val(q) : JSON.stringify(val(q));
+        let end = q + 1;
+        let initializer = null;
+
+        if (val(end) === '=') {
+          let depth = 0;
+          let r = end + 1;
+          for (; r < close; r++) {
+            if (['(', '[', '{'].includes(val(r))) depth++;
+            if ([')', ']', '}'].includes(val(r))) depth--;
+            if (depth === 0 && val(r) === ',') break;
+          }
+          initializer = tokens.slice(sig[end + 1], sig[r - 1] + 1).map(t => t.value).join('');
+          end = r;
+        }
+
+        if (initializer !== null && /^(['"`]).*\1$/s.test(initializer)) {
+          assignments.push(`${name}[${member}] = ${initializer};`);
+          nextValue = null;
+        } else {
+          const value = initializer !== null
+            ? initializer
+            : nextValue !== null ? String(nextValue) : `${name}[${previous}] + 1`;
+          assignments.push(`${name}[${name}[${member}] = ${value}] = ${member};`);
+          nextValue = /^-?\d+$/.test(value) ? Number(value) + 1 : null;
+        }
+
+        previous = member;
+        q = val(end) === ',' ? end + 1 : end;
+      }
+
+      remove(start, close);
+      before.set(sig[start], `var ${name}; (function (${name}) { ${assignments.join(' ')} })(${name} || (${name} = {}));`);
+      return close + 1;
+    };
+
+    // Bracket contexts: params lists, class bodies, object literals, plain blocks
+    const stack = [];
+    const top = () => stack[stack.length - 1] || { kind: 'block' };
+
+    let pendingParams = null;
+    let pendingClass = null;
+    let pendingBody = null;
+    let declaration = null;
+    let memberStart = false;
+
+    // Returns the index to continue from after a `(` that opens an arrow function's params
+    const isArrowParams = (p) => {
+      const close = matching(p);
+      if (val(close + 1) === '=>') return true;
+      if (typescript && val(close + 1) === ':') {
+        return val(skipType(close + 2, { stopAtArrow: true })) === '=>';
+      }
+      return false;
+    };
+
+    // Class members: strip modifiers, optional/definite markers and annotations
+    const readMember = (p) => {
+      const begin = p;
+      // TypeScript modifiers mix freely with JavaScript ones, as in `private static readonly`
+      while (true) {
+        if (MEMBER_MODIFIERS.has(val(p)) && (tok(p + 1).type === 'ident' || ['[', '*', '#'].includes(val(p + 1)) || tok(p + 1).type === 'string')) {
+          remove(p, p);
+        } else if (!(['static', 'async', 'get', 'set', 'accessor', '*'].includes(val(p)) &&
+            (tok(p + 1).type === 'ident' || ['[', '*'].includes(val(p + 1)) || tok(p + 1).type === 'string'))) {
+          break;
+        }
+        p++;
+      }
+
+      // Index signatures only exist at the type level
+      if (val(p) === '[' && tok(p + 1).type === 'ident' && val(p + 2) === ':') {
+        memberStart = true;
+        return removeStatement(begin);
+      }
+
+      const name = val(p);
+      p = val(p) === '[' ? matching(p) + 1 : p + 1;
+
+      if (val(p) === '?' || (val(p) === '!' && touchesPrevious(p))) {
+        remove(p, p);
+        p++;
+      }
+
+      if (val(p) === ':') {
+        const end = skipType(p + 1);
+        remove(p, end - 1);
+        p = end;
+      }
+
+      if (val(p) === '<' || val(p) === '(') {
+        pendingParams = { begin, isConstructor: name === 'constructor', properties: [] };
+      } else if (val(p) !== '=' && val(p) !== ';') {
+        // A bare field; whatever follows starts the next member
+        memberStart = true;
+      }
+
+      return p;
+    };
+
+    let p = 0;
+    while (p < sig.length) {
+      const token = tok(p);
+      const v = token.value;
+      const prevIndex = keptBefore(p);
+      const prev = tok(prevIndex);
+      const afterDot = prev && (prev.value === '.' || prev.value === '?.');
+      const ctx = top();
+
+      // Module syntax has nowhere to go in a worker script
+      if (v === 'import' && !afterDot && val(p + 1) !== '(' && val(p + 1) !== '.') {
+        if (typescript && val(p + 1) === 'type') {
+          p = removeStatement(p);
+          continue;
+        }
+        throw new SyntaxError(`Line ${lineOf(p)}: import statements can't be run in the browser sandbox`);
+      }
+
+      if (v === '@' && tok(p + 1) && tok(p + 1).type === 'ident' && sig[p + 1] === sig[p] + 1) {
+        throw new SyntaxError(`Line ${lineOf(p)}: decorators aren't supported in the browser sandbox`);
+      }
+
+      if (v === 'export' && !afterDot) {
+        if (val(p + 1) === '{' || val(p + 1) === '*' || (val(p + 1) === 'type' && val(p + 2) === '{')) {
+          p = removeStatement(p);
+        } else {
+          remove(p, val(p + 1) === 'default' ? p + 1 : p);
+          p += val(p + 1) === 'default' ? 2 : 1;
+        }
+        continue;
+      }
+
+      if (typescript && token.type === 'ident' && !afterDot) {
+        const next = tok(p + 1);
+        const startsDeclaration = next && next.type === 'ident' && !newlineBefore(p + 1);
+
+        if ((v === 'namespace' || v === 'module') && startsDeclaration && ['{', '.'].includes(val(p + 2))) {
+          throw new SyntaxError(`Line ${lineOf(p)}: namespaces aren't supported in the browser sandbox; use a plain object instead`);
+        }
+
+        if (v === 'interface' && startsDeclaration) {
+          let q = p + 2;
+          while (q < sig.length && val(q) !== '{') q++;
+          remove(p, matching(q));
+          p = matching(q) + 1;
+          continue;
+        }
+
+        if (v === 'type' && startsDeclaration && (val(p + 2) === '=' || val(p + 2) === '<')) {
+          let q = p + 2;
+          if (val(q) === '<') q = matchGeneric(q) + 1;
+          let end = skipType(q + 1);
+          if (val(end) === ';') end++;
+          remove(p, end - 1);
+          p = end;
+          continue;
+        }
+
+        if (v === 'declare' && next && next.type === 'ident' && ctx.kind !== 'class') {
+          let q = p + 1;
+          let depth = 0;
+          for (; q < sig.length; q++) {
+            if (val(q) === '{') depth++;
+            if (val(q) === '}' && --depth === 0) break;
+            if (depth === 0 && val(q) === ';') break;
+          }
+          remove(p, Math.min(q, sig.length - 1));
+          p = q + 1;
+          continue;
+        }
+
+        if (v === 'enum' && startsDeclaration && val(p + 2) === '{') {
+          declaration = null;
+          p = convertEnum(prev && prev.value === 'const' ? prevIndex : p, p);
+          continue;
+        }
+
+        if (v === 'abstract' && val(p + 1) === 'class') {
+          remove(p, p);
+          p++;
+          continue;
+        }
+
+        if ((v === 'as' || v === 'satisfies') && isExpressionEnd(prev) && !newlineBefore(p) && next &&
+            (next.type !== 'punct' || ['{', '[', '('].includes(next.value))) {
+          const end = skipType(p + 1);
+          remove(p, end - 1);
+          p = end;
+          continue;
+        }
+
+        if (v === 'implements' && pendingClass) {
+          let q = p + 1;
+          while (q < sig.length && val(q) !== '{') q++;
+          remove(p, q - 1);
+          p = q;
+          continue;
+        }
+      }
+
+      if (typescript && ctx.kind === 'class' && memberStart && v !== '}' && v !== ';') {
+        memberStart = false;
+        const next = readMember(p);
+        if (next !== p) {
+          p = next;
+          continue;
+        }
+      }
+
+      if (token.type === 'ident' && !afterDot) {
+        if (v === 'function') {
+          let begin = p;
+          if (prev && prev.value === 'async' && !removed.has(sig[prevIndex])) begin = prevIndex;
+          pendingParams = { begin, properties: [] };
+        } else if (v === 'class') {
+          pendingClass = { hasSuper: false };
+        } else if (v === 'extends' && pendingClass) {
+          pendingClass.hasSuper = true;
+        } else if (v === 'catch' && val(p + 1) === '(') {
+          pendingParams = { properties: [] };
+        } else if (v === 'let' || v === 'const' || v === 'var') {
+          declaration = { start: p, depth: stack.length, initialized: false };
+        }
+      }
+
+      if (typescript) {
+        // Explicit type arguments and type parameters: foo<T>(), class A<T>, <T>(x: T) => x
+        if (v === '<' && (prev && (prev.type === 'ident' || !isExpressionEnd(prev)))) {
+          const close = matchGeneric(p);
+          const following = val(close + 1);
+          const isGeneric = close !== -1 && (
+            following === '(' || tok(close + 1) && tok(close + 1).type === 'template' ||
+            (pendingClass && (following === '{' || following === 'extends' || following === 'implements')) ||
+            (prev.type === 'ident' && ['(', ')', ',', ';', '.', '?.', '=', '['].includes(following))
+          );
+          if (isGeneric && (prev.type === 'ident' || (following === '(' && isArrowParams(close + 1)))) {
+            remove(p, close);
+            p = close + 1;
+            continue;
+          }
+
+          // `<number>x` where an operand is expected is an old-style cast rather than a comparison
+          const operand = tok(close + 1);
+          if (close !== -1 && !isExpressionEnd(prev) && operand &&
+              (['ident', 'number', 'string', 'template'].includes(operand.type) || ['(', '[', '{'].includes(operand.value))) {
+            throw new SyntaxError(`Line ${lineOf(p)}: angle-bracket casts aren't supported in the browser sandbox; use \`as\` instead`);
+          }
+        }
+
+        if (v === '!' && touchesPrevious(p) && isExpressionEnd(prev) && prev.type !== 'string' &&
+            (p + 1 >= sig.length || newlineBefore(p + 1) || ['.', '?.', ')', ']', ';', ',', '[', '(', ':', '=', '}'].includes(val(p + 1)))) {
+          remove(p, p);
+          p++;
+          continue;
+        }
+
+        if (ctx.kind === 'params' && v === '=') {
+          ctx.inDefault = true;
+        } else if (ctx.kind === 'params' && v === ',') {
+          ctx.inDefault = false;
+        } else if (ctx.kind === 'params' && !ctx.inDefault) {
+          // `this: Window` only types the receiver; it is not a real parameter
+          if (v === 'this' && val(p + 1) === ':') {
+            const end = skipType(p + 2);
+            remove(p, val(end) === ',' ? end : end - 1);
+            p = val(end) === ',' ? end + 1 : end;
+            continue;
+          }
+          if (MEMBER_MODIFIERS.has(v) && tok(p + 1) && tok(p + 1).type === 'ident') {
+            // With `public readonly size`, only the last modifier is followed by the name
+            const named = !(MEMBER_MODIFIERS.has(val(p + 1)) && tok(p + 2) && tok(p + 2).type === 'ident');
+            if (ctx.info.isConstructor && named) ctx.info.properties.push(val(p + 1));
+            remove(p, p);
+            p++;
+            continue;
+          }
+          if (v === '?' && [':', ',', ')', '='].includes(val(p + 1))) {
+            remove(p, p);
+            p++;
+            continue;
+          }
+          if (v === ':' && prev && (prev.type === 'ident' || prev.value === ']' || prev.value === '}')) {
+            const end = skipType(p + 1);
+            remove(p, end - 1);
+            p = end;
+            continue;
+          }
+        }
+
+        if (v === ':' && declaration && declaration.depth === stack.length && !declaration.initialized &&
+            prev && (prev.type === 'ident' || prev.value === ']' || prev.value === '}')) {
+          const end = skipType(p + 1);
+          remove(p, end - 1);
+          p = end;
+          continue;
+        }
+      }
+
+      // The keyword itself can follow a line break, which must not end the declaration it opens
+      if (declaration && declaration.depth === stack.length && declaration.start !== p) {
+        if (v === '=') declaration.initialized = true;
+        if (v === ',') declaration.initialized = false;
+        if (v === ';' || v === 'in' || v === 'of' || (newlineBefore(p) && !declaration.initialized && isExpressionEnd(prev) && v !== ',')) {
+          declaration = null;
+        }
+      }
+
+      if (v === '(' || v === '[' || v === '{') {
+        let entry = { kind: v === '{' ? 'block' : 'expr' };
+
+        if (v === '(') {
+          if (pendingParams) {
+            entry = { kind: 'params', info: pendingParams };
+            pendingParams = null;
+          } else if (ctx.kind === 'object' && prev && prev.type === 'ident' &&
+              ['{', ',', 'get', 'set', 'async', '*'].includes(val(keptBefore(prevIndex)))) {
+            entry = { kind: 'params', info: { properties: [] } };
+          } else if (isArrowParams(p)) {
+            entry = { kind: 'params', info: { arrow: true, properties: [] } };
+          }
+        } else if (v === '{') {
+          if (pendingClass) {
+            entry = { kind: 'class', hasSuper: pendingClass.hasSuper };
+            pendingClass = null;
+            memberStart = true;
+          } else if (!prev || ['(', ',', '=', ':', '[', '?', '||', '&&', '??', '...', 'return'].includes(prev.value)) {
+            entry = { kind: 'object' };
+          }
+
+          // Parameter properties are assigned at the top of the constructor, after super()
+          if (pendingBody && pendingBody.properties.length > 0) {
+            const assignments = pendingBody.properties.map(name => ` this.${name} = ${name};`).join('');
+            let target = p;
+            if (pendingBody.hasSuper) {
+              const close = matching(p);
+              for (let q = p + 1; q < close; q++) {
+                if (val(q) === 'super' && val(q + 1) === '(') {
+                  target = matching(q + 1);
+                  if (val(target + 1) === ';') target++;
+                  break;
+                }
+              }
+            }
+            after.set(sig[target], (after.get(sig[target]) || '') + assignments);
+          }
+          pendingBody = null;
+        }
+
+        stack.push(entry);
+        p++;
+        continue;
+      }
+
+      if (v === ')' || v === ']' || v === '}') {
+        const closed = stack.pop() || {};
+        p++;
+
+        if (top().kind === 'class' && v === '}') memberStart = true;
+
+        if (closed.kind === 'params') {
+          let end = p;
+          if (typescript && val(p) === ':') {
+            end = skipType(p + 1, { stopAtArrow: closed.info.arrow });
+            remove(p, end - 1);
+          }
+
+          // Overloads and abstract members: a signature with no body
+          if (typescript && closed.info.begin !== undefined && val(end) !== '{') {
+            const last = val(end) === ';' ? end : end - 1;
+            remove(closed.info.begin, last);
+            p = last + 1;
+            memberStart = top().kind === 'class';
+            continue;
+          }
+
+          pendingBody = {
+            properties: closed.info.properties,
+            hasSuper: Boolean(closed.info.isConstructor && top().hasSuper)
+          };
+          p = end;
+        }
+        continue;
+      }
+
+      if (v === ';' && top().kind === 'class') {
+        memberStart = true;
+      } else if (top().kind === 'class' && p + 1 < sig.length && newlineBefore(p + 1) && isExpressionEnd(token) &&
+          !TYPE_CONTINUATIONS.has(val(p + 1)) && !['(', '=', '{'].includes(val(p + 1))) {
+        // Class fields without semicolons end at the line break
+        memberStart = true;
+      }
+
+      p++;
+    }
+
+    return tokens.map((token, i) => {
+      const text = removed.has(i) ? blank(token.value) : token.value;
+      return (before.get(i) || '') + text + (after.get(i) || '');
+    }).join('');
+  };
+
+  // JavaScript only loses its module syntax; TypeScript also has its types erased
+  const transpile = (code, language) =>
+    eraseTypes(tokenize(code), { typescript: language === 'typescript' });
+
+  // ==========================================
+  // SANDBOX
+  // ==========================================
+
+  // Runs inside the worker ahead of the snippet. It is serialized with
+  // toString(), so it must not close over anything in this module.
+  function sandboxPrelude() {
+    const post = (type, data) => self.postMessage(Object.assign({ type: type }, data));
+
+    const inspect = (value, depth, seen) => {
+      depth = depth || 0;
+      seen = seen || new Set();
+      if (typeof value === 'string') return depth > 0 ? JSON.stringify(value) : value;
+      if (typeof value === 'function') return `[Function ${value.name || '(anonymous)'}]`;
+      if (typeof value === 'bigint') return `${value}n`;
+      if (typeof value === 'symbol' || value === null || typeof value !== 'object') return String(value);
+      if (value instanceof Error || Object.prototype.toString.call(value) === '[object Error]') {
+        return value.stack || `${value.name}: ${value.message}`;
+      }
+      if (seen.has(value)) return '[Circular]';
+      if (depth > 3) return Array.isArray(value) ? '[Array]' : '[Object]';
+
+      seen.add(value);
+      let text;
+      if (Array.isArray(value)) {
+        text = `[ ${value.map(item => inspect(item, depth + 1, seen)).join(', ')} ]`;
+      } else if (value instanceof Map) {
+        text = `Map(${value.size}) { ${[...value].map(([k, v]) => `${inspect(k, depth + 1, seen)} => ${inspect(v, depth + 1, seen)}`).join(', ')} }`;
+      } else if (value instanceof Set) {
+        text = `Set(${value.size}) { ${[...value].map(item => inspect(item, depth + 1, seen)).join(', ')} }`;
+      } else if (value instanceof Date) {
+        text = value.toISOString();
+      } else {
+        const name = value.constructor && value.constructor.name !== 'Object' ? `${value.constructor.name} ` : '';
+        const entries = Object.keys(value).map(key => `${key}: ${inspect(value[key], depth + 1, seen)}`);
+        text = `${name}{ ${entries.join(', ')} }`;
+      }
+      seen.delete(value);
+      return text;
+    };
+
+    const format = (args) => args.map(arg => inspect(arg)).join(' ');
+
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+      console[level] = (...args) => post('console', { level: level, text: format(args) });
+    });
+    console.table = (data) => post('console', { level: 'log', text: inspect(data) });
+
+    let failed = false;
+    const report = (err) => {
+      failed = true;
+      post('error', { text: inspect(err) });
+    };
+
+    // Snippets are the site's own code or the visitor's own edits, so this is
+    // about keeping demos self-contained rather than a security boundary
+    ['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts', 'indexedDB', 'caches', 'BroadcastChannel']
+      .forEach(name => {
+        try {
+          Object.defineProperty(self, name, { value: undefined });
+        } catch (err) {
+          // Not present in this browser
+        }
+      });
+
+    // Count outstanding timers so the run can end as soon as nothing is left to do
+    const nativeSetTimeout = self.setTimeout;
+    const nativeClearTimeout = self.clearTimeout;
+    const nativeSetInterval = self.setInterval;
+    const nativeClearInterval = self.clearInterval;
+    const timers = new Set();
+    let mainDone = false;
+
+    const checkIdle = () => nativeSetTimeout(() => {
+      if (mainDone && timers.size === 0) post('done', { failed: failed });
+    }, 0);
+
+    const guard = (callback, args) => {
+      try {
+        if (typeof callback === 'function') callback(...args);
+      } catch (err) {
+        report(err);
+      }
+    };
+
+    self.setTimeout = (callback, ms, ...args) => {
+      const id = nativeSetTimeout(() => {
+        timers.delete(id);
+        guard(callback, args);
+        checkIdle();
+      }, ms);
+      timers.add(id);
+      return id;
+    };
+    self.clearTimeout = (id) => {
+      timers.delete(id);
+      nativeClearTimeout(id);
+      checkIdle();
+    };
+    self.setInterval = (callback, ms, ...args) => {
+      const id = nativeSetInterval(() => guard(callback, args), ms);
+      timers.add(id);
+      return id;
+    };
+    self.clearInterval = (id) => {
+      timers.delete(id);
+      nativeClearInterval(id);
+      checkIdle();
+    };
+
+    self.addEventListener('unhandledrejection', (event) => {
+      event.preventDefault();
+      report(event.reason);
+    });
+
+    self.runSnippet = (main) => Promise.resolve()
+      .then(main)
+      .catch(report)
+      .then(() => {
+        mainDone = true;
+        checkIdle();
+      });
+  }
+
+  // Default wall-clock limit for a run, in milliseconds
+  const RUN_TIMEOUT = 5000;
+
+  // Wrapped in an async function so snippets can use top-level await
+  const createWorkerSource = (js) => {
+    const header = `(${sandboxPrelude.toString()})();\nself.runSnippet(async () => {\n`;
+    return {
+      source: `${header}${js}\n});\n`,
+      lineOffset: header.split('\n').length - 1
+    };
+  };
+
+  // Runs `code` in a fresh worker. `onOutput({ level, text })` receives console
+  // output and errors; the returned `done` promise resolves to 'finished',
+  // 'error', 'timeout' or 'stopped'.
+  const runSnippet = (code, language, { timeout = RUN_TIMEOUT, onOutput = () => {} } = {}) => {
+    let js;
+    try {
+      js = transpile(code, language);
+    } catch (err) {
+      onOutput({ level: 'error', text: err.message });
+      return { stop: () => {}, done: Promise.resolve('error') };
+    }
+
+    const { source, lineOffset } = createWorkerSource(js);
+    const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+    const worker = new Worker(url);
+    let settle;
+    let settled = false;
+    const done = new Promise(resolve => { settle = resolve; });
+
+    const finish = (status) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate();
+      URL.revokeObjectURL(url);
+      settle(status);
+    };
+
+    // Stack traces point into the blob; shift them back onto the snippet's own lines
+    const relocate = (text) => text
+      .replace(/blob:[^\s)]+:(\d+):(\d+)/g, (match, line, column) => `snippet:${line - lineOffset}:${column}`);
+
+    const timer = setTimeout(() => {
+      onOutput({ level: 'error', text: `Stopped after ${timeout / 1000}s. Is there an endless loop or an interval that is never cleared?` });
+      finish('timeout');
+    }, timeout);
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'console') {
+        onOutput({ level: data.level, text: relocate(data.text) });
+      } else if (data.type === 'error') {
+        onOutput({ level: 'error', text: relocate(data.text) });
+      } else if (data.type === 'done') {
+        finish(data.failed ? 'error' : 'finished');
+      }
+    };
+
+    // Syntax errors, and anything thrown outside the prelude's guards
+    worker.onerror = (event) => {
+      event.preventDefault();
+      const line = event.lineno ? ` (line ${event.lineno - lineOffset})` : '';
+      onOutput({ level: 'error', text: `${event.message}${line}` });
+      finish('error');
+    };
+
+    return { stop: () => finish('stopped'), done };
+  };
+
+  return {
+    RUNNABLE_LANGUAGES,
+    canRun,
+    transpile,
+    runSnippet
+  };
+});
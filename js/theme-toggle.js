@@ -7,56 +7,253 @@
     'use strict';
 
     // ==========================================
-    // DARK MODE TOGGLE
+    // THEMES
     // ==========================================
 
-    const initThemeToggle = () => {
-        // Check for saved theme preference, or default to system preference
-        let savedTheme = localStorage.getItem('theme');
+    // Keep the ids in sync with the inline anti-flash script in index.html.
+    // `prism` is the Prism stylesheet used for the snippet viewer in that theme;
+    // high contrast keeps its own accent so custom colours can't weaken it.
+    const THEMES = {
+        light: { label: 'Light', icon: 'fa-sun', prism: 'prism' },
+        dark: { label: 'Dark', icon: 'fa-moon', prism: 'prism-tomorrow' },
+        'high-contrast': { label: 'High contrast', icon: 'fa-circle-half-stroke', prism: 'prism-okaidia', fixedAccent: true },
+        sepia: { label: 'Sepia', icon: 'fa-book-open', prism: 'prism-solarizedlight' }
+    };
+
+    // null restores the theme's own brand green
+    const ACCENTS = [
+        { label: 'Default', color: null },
+        { label: 'Blue', color: '#2f80ed' },
+        { label: 'Purple', color: '#8e44ad' },
+        { label: 'Orange', color: '#e67e22' },
+        { label: 'Pink', color: '#d63384' }
+    ];
+
+    // Stored instead of a theme id to keep following prefers-color-scheme
+    const SYSTEM_MODE = 'system';
+    const SYSTEM_OPTION = { label: 'System', icon: 'fa-desktop' };
+
+    const THEME_STORAGE_KEY = 'theme';
+    const ACCENT_STORAGE_KEY = 'theme-accent';
+    const PRISM_THEMES_URL = 'https://cdnjs.cloudflare.com/ajax/libs/prism/1.29.0/themes';
+
+    const getSystemTheme = () =>
+        window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+
+    // A theme id, or SYSTEM_MODE when nothing valid was chosen
+    const getSavedMode = () => {
+        const saved = localStorage.getItem(THEME_STORAGE_KEY);
+        return THEMES[saved] ? saved : SYSTEM_MODE;
+    };
+
+    const resolveTheme = (mode) => (mode === SYSTEM_MODE ? getSystemTheme() : mode);
+
+    const getSavedAccent = () => {
+        try {
+            return JSON.parse(localStorage.getItem(ACCENT_STORAGE_KEY));
+        } catch (err) {
+            return null;
+        }
+    };
+
+    // Blend a #rrggbb colour towards another by `amount` (0-1)
+    const mixColor = (hex, target, amount) => {
+        const channels = (value) => [1, 3, 5].map(i => parseInt(value.slice(i, i + 2), 16));
+        const from = channels(hex);
+        const to = channels(target);
+        return '#' + from
+            .map((channel, i) => Math.round(channel + (to[i] - channel) * amount).toString(16).padStart(2, '0'))
+            .join('');
+    };
 
-        // If no saved preference, detect system preference
-        if (!savedTheme) {
-            const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-            savedTheme = prefersDark ? 'dark' : 'light';
+    // Stored fully expanded so the anti-flash script can apply it without any maths
+    const createAccentPalette = (color) => ({
+        color: color,
+        dark: mixColor(color, '#000000', 0.2),
+        light: mixColor(color, '#ffffff', 0.2)
+    });
+
+    const applyAccent = (themeId, accent) => {
+        const style = document.documentElement.style;
+        if (accent && !THEMES[themeId].fixedAccent) {
+            style.setProperty('--primary-color', accent.color);
+            style.setProperty('--primary-dark', accent.dark);
+            style.setProperty('--primary-light', accent.light);
+        } else {
+            ['--primary-color', '--primary-dark', '--primary-light'].forEach(name => style.removeProperty(name));
         }
+    };
+
+    // The snippet viewer's highlighting follows the page theme
+    const applyPrismTheme = (themeId) => {
+        const link = document.getElementById('prism-theme');
+        if (link) {
+            link.href = `${PRISM_THEMES_URL}/${THEMES[themeId].prism}.min.css`;
+        }
+    };
+
+    const applyTheme = (themeId, accent) => {
+        document.documentElement.setAttribute('data-theme', themeId);
+        applyAccent(themeId, accent);
+        applyPrismTheme(themeId);
+    };
+
+    // ==========================================
+    // THEME PICKER
+    // ==========================================
+
+    const createThemePicker = () => {
+        const container = document.createElement('div');
+        container.className = 'theme-switcher';
+        container.innerHTML = `
+            <div class="theme-picker" id="theme-picker" role="group" aria-label="Theme settings" hidden>
+                <p class="theme-picker-heading">Theme</p>
+                <div class="theme-picker-options">
+                    ${Object.entries({ [SYSTEM_MODE]: SYSTEM_OPTION, ...THEMES }).map(([id, theme]) => `
+                        <button type="button" class="theme-option" data-theme-option="${id}" aria-pressed="false">
+                            <i class="fas ${theme.icon}" aria-hidden="true"></i> ${theme.label}
+                        </button>
+                    `).join('')}
+                </div>
+                <p class="theme-picker-heading">Accent colour</p>
+                <div class="theme-picker-accents">
+                    ${ACCENTS.map(accent => `
+                        <button type="button" class="theme-accent" data-accent="${accent.color || ''}" aria-pressed="false"
+                            aria-label="${accent.label} accent" title="${accent.label}"
+                            style="--swatch: ${accent.color || '#28a745'}"></button>
+                    `).join('')}
+                    <label class="theme-accent theme-accent-custom" title="Custom colour">
+                        <input type="color" id="theme-accent-custom" aria-label="Custom accent colour" />
+                    </label>
+                </div>
+                <p class="theme-picker-heading">Motion</p>
+                <button type="button" class="theme-motion" id="theme-motion" role="switch" aria-checked="false">
+                    <span>Reduce motion</span>
+                    <span class="theme-motion-hint"></span>
+                </button>
+            </div>
+            <button type="button" class="theme-toggle" aria-label="Choose theme" aria-haspopup="true"
+                aria-expanded="false" aria-controls="theme-picker"></button>
+        `;
+        document.body.appendChild(container);
+        return container;
+    };
+
+    const initThemeToggle = () => {
+        let mode = getSavedMode();
+        let themeId = resolveTheme(mode);
+        let accent = getSavedAccent();
+        applyTheme(themeId, accent);
+
+        const container = createThemePicker();
+        const toggleButton = container.querySelector('.theme-toggle');
+        const picker = container.querySelector('.theme-picker');
+        const customInput = container.querySelector('#theme-accent-custom');
+        const motionSwitch = container.querySelector('#theme-motion');
+
+        // Reflect the current mode and accent on the toggle icon, its label and the picker buttons
+        const render = () => {
+            const option = mode === SYSTEM_MODE ? SYSTEM_OPTION : THEMES[mode];
+            const label = mode === SYSTEM_MODE
+                ? `System (${THEMES[themeId].label.toLowerCase()})`
+                : option.label;
+            toggleButton.innerHTML = `<i class="fas ${option.icon}"></i>`;
+            toggleButton.setAttribute('aria-label', `Choose theme, currently ${label}`);
+            toggleButton.title = `Theme: ${label}`;
+
+            container.querySelectorAll('.theme-option').forEach(button => {
+                button.setAttribute('aria-pressed', String(button.dataset.themeOption === mode));
+            });
+
+            const color = accent ? accent.color : '';
+            const isPreset = ACCENTS.some(preset => (preset.color || '') === color);
+            container.querySelectorAll('button.theme-accent').forEach(button => {
+                button.setAttribute('aria-pressed', String(button.dataset.accent === color));
+                button.disabled = Boolean(THEMES[themeId].fixedAccent);
+            });
+            customInput.disabled = Boolean(THEMES[themeId].fixedAccent);
+            customInput.parentElement.classList.toggle('selected', Boolean(color) && !isPreset);
+            customInput.value = color || '#28a745';
+
+            motionSwitch.setAttribute('aria-checked', String(window.Motion.isReduced()));
+            motionSwitch.querySelector('.theme-motion-hint').textContent =
+                window.Motion.isFollowingSystem() ? 'Following system' : '';
+        };
+
+        // Re-resolve everything from storage; used on startup, for system changes and for other tabs
+        const sync = () => {
+            mode = getSavedMode();
+            themeId = resolveTheme(mode);
+            accent = getSavedAccent();
+            applyTheme(themeId, accent);
+            render();
+        };
+
+        const setMode = (newMode) => {
+            localStorage.setItem(THEME_STORAGE_KEY, newMode);
+            sync();
+        };
+
+        const setAccent = (color) => {
+            if (color) {
+                localStorage.setItem(ACCENT_STORAGE_KEY, JSON.stringify(createAccentPalette(color)));
+            } else {
+                localStorage.removeItem(ACCENT_STORAGE_KEY);
+            }
+            sync();
+        };
+
+        const setPickerOpen = (open) => {
+            picker.hidden = !open;
+            toggleButton.setAttribute('aria-expanded', String(open));
+            if (open) {
+                container.querySelector('.theme-option[aria-pressed="true"]').focus();
+            }
+        };
 
-        document.documentElement.setAttribute('data-theme', savedTheme);
+        toggleButton.addEventListener('click', () => setPickerOpen(picker.hidden));
 
-        // Create toggle button
-        const toggleButton = document.createElement('button');
-        toggleButton.className = 'theme-toggle';
-        toggleButton.setAttribute('aria-label', 'Toggle dark mode');
-        toggleButton.innerHTML = savedTheme === 'dark'
-            ? '<i class="fas fa-sun"></i>'
-            : '<i class="fas fa-moon"></i>';
+        picker.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-theme-option]');
+            const swatch = e.target.closest('button[data-accent]');
+            if (option) setMode(option.dataset.themeOption);
+            if (swatch) setAccent(swatch.dataset.accent);
+        });
 
-        document.body.appendChild(toggleButton);
+        customInput.addEventListener('input', () => setAccent(customInput.value));
 
-        // Toggle functionality
-        toggleButton.addEventListener('click', () => {
-            const currentTheme = document.documentElement.getAttribute('data-theme');
-            const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+        // Stored and synced across tabs by js/motion.js
+        motionSwitch.addEventListener('click', () => window.Motion.setReduced(!window.Motion.isReduced()));
+        window.Motion.onChange(render);
 
-            document.documentElement.setAttribute('data-theme', newTheme);
-            localStorage.setItem('theme', newTheme);
+        // Escape or a click anywhere else closes the picker
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !picker.hidden) {
+                setPickerOpen(false);
+                toggleButton.focus();
+            }
+        });
+        document.addEventListener('click', (e) => {
+            if (!picker.hidden && !container.contains(e.target)) {
+                setPickerOpen(false);
+            }
+        });
 
-            // Update icon
-            toggleButton.innerHTML = newTheme === 'dark'
-                ? '<i class="fas fa-sun"></i>'
-                : '<i class="fas fa-moon"></i>';
+        // Only matters while following the system
+        window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', () => {
+            if (mode === SYSTEM_MODE) {
+                sync();
+            }
         });
 
-        // Listen for system preference changes
-        window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-            // Only auto-update if user hasn't set a manual preference
-            if (!localStorage.getItem('theme')) {
-                const newTheme = e.matches ? 'dark' : 'light';
-                document.documentElement.setAttribute('data-theme', newTheme);
-                toggleButton.innerHTML = newTheme === 'dark'
-                    ? '<i class="fas fa-sun"></i>'
-                    : '<i class="fas fa-moon"></i>';
+        // Other tabs changed the theme or accent (key is null when storage was cleared)
+        window.addEventListener('storage', (e) => {
+            if (e.key === null || e.key === THEME_STORAGE_KEY || e.key === ACCENT_STORAGE_KEY) {
+                sync();
             }
         });
+
+        render();
     };
 
     // ==========================================
@@ -78,7 +275,7 @@
 
                     window.scrollTo({
                         top: targetPosition,
-                        behavior: 'smooth'
+                        behavior: window.Motion.isReduced() ? 'auto' : 'smooth'
                     });
                 }
             });
@@ -98,7 +295,10 @@
         const observer = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
-                    entry.target.classList.add('animate-fade-in-up');
+                    // Content is visible either way; only the reveal is skipped
+                    if (!window.Motion.isReduced()) {
+                        entry.target.classList.add('animate-fade-in-up');
+                    }
                     observer.unobserve(entry.target);
                 }
             });
@@ -110,39 +310,6 @@
         });
     };
 
-    // ==========================================
-    // ACTIVE NAV INDICATOR
-    // ==========================================
-
-    const initActiveNav = () => {
-        const sections = document.querySelectorAll('.resume-section');
-        const navLinks = document.querySelectorAll('#sideNav .nav-link');
-
-        const setActiveNav = () => {
-            let current = '';
-            const scrollPosition = window.pageYOffset;
-
-            sections.forEach(section => {
-                const sectionTop = section.offsetTop;
-                const sectionHeight = section.clientHeight;
-
-                if (scrollPosition >= sectionTop - 200) {
-                    current = section.getAttribute('id');
-                }
-            });
-
-            navLinks.forEach(link => {
-                link.classList.remove('active');
-                if (link.getAttribute('href') === `#${current}`) {
-                    link.classList.add('active');
-                }
-            });
-        };
-
-        window.addEventListener('scroll', setActiveNav);
-        setActiveNav(); // Call once on load
-    };
-
     // ==========================================
     // CODE COPY FUNCTIONALITY
     // ==========================================
@@ -206,39 +373,22 @@
     const initParallax = () => {
         const parallaxElements = document.querySelectorAll('[data-parallax]');
 
-        if (parallaxElements.length === 0) return;
+        if (parallaxElements.length === 0 || !window.SectionTracker) return;
 
-        window.addEventListener('scroll', () => {
-            const scrolled = window.pageYOffset;
+        const update = (scrolled) => {
+            const reduceMotion = window.Motion.isReduced();
 
             parallaxElements.forEach(el => {
                 const speed = el.dataset.parallax || 0.5;
                 const yPos = -(scrolled * speed);
-                el.style.transform = `translateY(${yPos}px)`;
+                el.style.transform = reduceMotion ? '' : `translateY(${yPos}px)`;
             });
-        });
-    };
-
-    // ==========================================
-    // PERFORMANCE MONITORING
-    // ==========================================
+        };
 
-    const logPerformance = () => {
-        if (window.performance && window.performance.timing) {
-            window.addEventListener('load', () => {
-                setTimeout(() => {
-                    const perfData = window.performance.timing;
-                    const pageLoadTime = perfData.loadEventEnd - perfData.navigationStart;
-                    const connectTime = perfData.responseEnd - perfData.requestStart;
-                    const renderTime = perfData.domComplete - perfData.domLoading;
-
-                    console.log('Performance Metrics:');
-                    console.log(`Page Load Time: ${pageLoadTime}ms`);
-                    console.log(`Connection Time: ${connectTime}ms`);
-                    console.log(`Render Time: ${renderTime}ms`);
-                }, 0);
-            });
-        }
+        // Driven by the shared rAF-throttled scroll service in section-tracker.js;
+        // also re-run when motion is toggled so elements settle without a scroll
+        window.SectionTracker.onScroll(update);
+        window.Motion.onChange(() => update(window.pageYOffset));
     };
 
     // ==========================================
@@ -302,12 +452,16 @@
                 konamiIndex++;
 
                 if (konamiIndex === konamiCode.length) {
+                    konamiIndex = 0;
+
+                    // Flashing colours are exactly what reduced motion asks us to avoid
+                    if (window.Motion.isReduced()) return;
+
                     // Easter egg activated!
                     document.body.style.animation = 'rainbow 2s linear infinite';
                     setTimeout(() => {
                         document.body.style.animation = '';
                     }, 5000);
-                    konamiIndex = 0;
                 }
             } else {
                 konamiIndex = 0;
@@ -334,7 +488,6 @@
         initThemeToggle();
         initSmoothScroll();
         initScrollAnimations();
-        initActiveNav();
         initCodeCopy();
 
         // Progressive enhancements
@@ -342,11 +495,6 @@
         initParallax();
         initSkillTooltips();
 
-        // Optional features
-        if (window.location.hostname !== 'localhost') {
-            logPerformance();
-        }
-
         // Fun stuff
         initEasterEgg();
 
@@ -2,4 +2,7 @@
 
 const renderAssets = require('./render-assets');
 
-renderAssets();
\ No newline at end of file
+renderAssets().catch(err => {
+    console.error(`### ERROR: ${err.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,13 @@
+'use strict';
+const renderPdf = require('./render-pdf');
+
+// `npm run build:pdf -- --template detailed` renders a single template; the default is all of them
+const templateFlag = process.argv.findIndex(arg => arg === '--template' || arg.startsWith('--template='));
+const templates = templateFlag === -1
+    ? undefined
+    : [process.argv[templateFlag].split('=')[1] || process.argv[templateFlag + 1]];
+
+renderPdf(templates).catch(err => {
+    console.error(`### ERROR: ${err.message}`);
+    process.exitCode = 1;
+});
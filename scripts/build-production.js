@@ -0,0 +1,8 @@
+'use strict';
+const renderProduction = require('./render-production');
+
+// Runs after a full build (`npm run build:production`), on the files it left in dist
+renderProduction().catch(err => {
+    console.error(`### ERROR: ${err.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,15 @@
+'use strict';
+const upath = require('upath');
+const renderSnippets = require('./render-snippets');
+
+const sourceDir = process.argv[2] || process.env.SNIPPETS_SRC || upath.resolve(upath.dirname(__filename), '../snippets');
+
+// Optional second argument: the id of the source the folder is a checkout of, e.g. Briskwoods/SonOfMabinSnippets
+const sourceId = process.argv[3] || process.env.SNIPPETS_SOURCE;
+
+try {
+    renderSnippets(upath.resolve(sourceDir), sourceId);
+} catch (err) {
+    console.error(`### ERROR: ${err.message}`);
+    process.exitCode = 1;
+}
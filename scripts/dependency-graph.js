@@ -0,0 +1,109 @@
+'use strict';
+const fs = require('fs');
+const upath = require('upath');
+
+const srcPath = upath.resolve(upath.dirname(__filename), '../src');
+
+// `include file`, `include:filter file` and `extends file`; rooted paths resolve from src, the `basedir` render-pug passes
+const PUG_DEPENDENCY = /^[ \t]*(?:include(?::[\w-]+(?:\([^)]*\))?)*|extends)[ \t]+(\S.*?)[ \t]*$/gm;
+
+// `@import "a", "b";`, `@use "a" as b;` and `@forward "a";`
+const SCSS_DEPENDENCY = /@(?:import|use|forward)\s+([^;]+)/g;
+
+function _pugDependencies(filePath, source) {
+    return Array.from(source.matchAll(PUG_DEPENDENCY), match => {
+        const request = match[1];
+        const resolved = upath.join(request.startsWith('/') ? srcPath : upath.dirname(filePath), request);
+        return upath.extname(resolved) ? resolved : `${resolved}.pug`;
+    });
+}
+
+// Sass looks for `name.scss`, the `_name.scss` partial and `name/_index.scss`; the first one on disk wins
+function _resolveScss(dirPath, url) {
+    const filePath = upath.join(dirPath, url);
+    const folder = upath.dirname(filePath);
+    const name = upath.basename(filePath);
+
+    const candidates = upath.extname(name) ? [filePath, upath.join(folder, `_${name}`)] : [
+        `${filePath}.scss`,
+        upath.join(folder, `_${name}.scss`),
+        `${filePath}.sass`,
+        upath.join(folder, `_${name}.sass`),
+        upath.join(filePath, '_index.scss'),
+        upath.join(filePath, 'index.scss')
+    ];
+    return candidates.find(candidate => fs.existsSync(candidate));
+}
+
+function _scssDependencies(filePath, source) {
+    const code = source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/(^|\s)\/\/.*$/gm, '$1');
+    const dependencies = [];
+
+    for (const match of code.matchAll(SCSS_DEPENDENCY)) {
+        if (match[1].trim().startsWith('url(')) {
+            continue;
+        }
+        // Only the URLs, not the strings inside `as`/`with`/`show`/`hide` clauses
+        const urls = match[1].split(/\s(?:as|with|show|hide)\s/)[0].match(/(['"])[^'"]+\1/g) || [];
+        urls.map(url => url.slice(1, -1))
+            .filter(url => !/^(sass:|https?:|\/\/)/.test(url) && !url.endsWith('.css'))
+            // Anything that does not resolve next to the file comes from node_modules, which is not watched
+            .map(url => _resolveScss(upath.dirname(filePath), url))
+            .filter(Boolean)
+            .forEach(dependency => dependencies.push(dependency));
+    }
+    return dependencies;
+}
+
+const PARSERS = {
+    '.pug': _pugDependencies,
+    '.scss': _scssDependencies
+};
+
+// Tracks which Pug and SCSS files pull in which others, so a change to a partial
+// can be traced back to the pages and stylesheets that need rebuilding.
+module.exports = function createDependencyGraph() {
+    // Absolute file path -> absolute paths it includes or imports
+    const dependencies = new Map();
+
+    function update(filePath) {
+        const parse = PARSERS[upath.extname(filePath)];
+        if (!parse) {
+            return;
+        }
+        try {
+            dependencies.set(filePath, parse(filePath, fs.readFileSync(filePath, 'utf8')));
+        } catch (err) {
+            // Deleted between the event and the read; the unlink event cleans up
+            dependencies.delete(filePath);
+        }
+    }
+
+    function remove(filePath) {
+        dependencies.delete(filePath);
+    }
+
+    // SCSS imports resolve against what is on disk, so adding or deleting a partial can change other files' edges
+    function refresh() {
+        Array.from(dependencies.keys()).forEach(update);
+    }
+
+    // Every file that includes or imports `filePath`, directly or through other partials
+    function dependentsOf(filePath) {
+        const found = new Set();
+        const queue = [filePath];
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            dependencies.forEach((imports, file) => {
+                if (imports.includes(current) && !found.has(file)) {
+                    found.add(file);
+                    queue.push(file);
+                }
+            });
+        }
+        return Array.from(found);
+    }
+
+    return { update, remove, refresh, dependentsOf };
+};
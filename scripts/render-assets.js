@@ -2,10 +2,69 @@
 const fs = require('fs');
 const upath = require('upath');
 const sh = require('shelljs');
+const sharp = require('sharp');
+const responsiveImages = require('./responsive-images');
+
+const sourcePath = upath.resolve(upath.dirname(__filename), '../assets');
+const destPath = upath.resolve(upath.dirname(__filename), '../dist/assets');
 
 module.exports = function renderAssets() {
-    const sourcePath = upath.resolve(upath.dirname(__filename), '../src/assets');
-    const destPath = upath.resolve(upath.dirname(__filename), '../dist/.');
-    
-    sh.cp('-R', sourcePath, destPath)
-};
\ No newline at end of file
+    const files = sh.find(sourcePath).filter(filePath => sh.test('-f', filePath));
+
+    // One image at a time; encoding AVIF is memory hungry
+    return files.reduce((previous, filePath) => previous.then(() => renderAsset(filePath)), Promise.resolve());
+};
+
+// Copies a single file from assets/ and, for raster images, writes its resized variants
+function renderAsset(filePath) {
+    if (responsiveImages.isBackupFile(filePath)) {
+        return Promise.resolve();
+    }
+
+    const assetPath = upath.relative(upath.dirname(sourcePath), filePath);
+    const destFilePath = upath.join(destPath, upath.relative(sourcePath, filePath));
+
+    sh.mkdir('-p', upath.dirname(destFilePath));
+    sh.cp(filePath, destFilePath);
+
+    if (!responsiveImages.isResizableImage(filePath)) {
+        return Promise.resolve();
+    }
+
+    const { width } = responsiveImages.getImageSize(filePath);
+    const variants = [];
+    responsiveImages.getVariantWidths(width).forEach(variantWidth => {
+        responsiveImages.FORMATS.forEach(format => variants.push({ width: variantWidth, extension: format.extension }));
+    });
+
+    console.log(`### INFO: Resizing ${assetPath} to ${variants.length} variants`);
+    return variants.reduce((previous, variant) => previous.then(() => {
+        const variantPath = upath.join(upath.dirname(destPath), responsiveImages.getVariantPath(assetPath, variant.width, variant.extension));
+        // rotate() applies the EXIF orientation before the metadata is dropped
+        return sharp(filePath).rotate().resize({ width: variant.width })[variant.extension]().toFile(variantPath);
+    }), Promise.resolve());
+}
+
+// Removes a deleted file's copy and every resized variant of it
+function removeAsset(filePath) {
+    const destFilePath = upath.join(destPath, upath.relative(sourcePath, filePath));
+    const destDirPath = upath.dirname(destFilePath);
+
+    sh.rm('-f', destFilePath);
+    if (!responsiveImages.isResizableImage(filePath) || !sh.test('-d', destDirPath)) {
+        return;
+    }
+
+    // The source is gone, so its widths are unknown; match `<name>-<width>w.<format>` instead
+    const name = upath.basename(filePath, upath.extname(filePath));
+    const extensions = responsiveImages.FORMATS.map(format => format.extension);
+    fs.readdirSync(destDirPath)
+        .filter(fileName => {
+            const match = fileName.match(/^(.*)-\d+w\.(\w+)$/);
+            return match && match[1] === name && extensions.includes(match[2]);
+        })
+        .forEach(fileName => sh.rm('-f', upath.join(destDirPath, fileName)));
+}
+
+module.exports.renderAsset = renderAsset;
+module.exports.removeAsset = removeAsset;
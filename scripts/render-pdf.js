@@ -0,0 +1,322 @@
+'use strict';
+const fs = require('fs');
+const upath = require('upath');
+const sh = require('shelljs');
+const PDFDocument = require('pdfkit');
+const resumeData = require('./resume-data');
+
+const destPath = upath.resolve(upath.dirname(__filename), '../dist');
+
+const COLORS = {
+    accent: '#28a745',
+    text: '#212529',
+    muted: '#6c757d'
+};
+
+// Layout settings per template. The one-page template trims highlights and
+// leaves out the sections that only make sense on the site.
+const TEMPLATES = {
+    'one-page': {
+        fontSize: 8.5,
+        margin: 30,
+        sectionGap: 8,
+        entryGap: 5,
+        maxHighlights: 2,
+        sections: ['work', 'skills', 'education', 'certificates', 'awards'],
+        summaries: false
+    },
+    detailed: {
+        fontSize: 10.5,
+        margin: 54,
+        sectionGap: 14,
+        entryGap: 8,
+        maxHighlights: Infinity,
+        sections: ['work', 'education', 'skills', 'certificates', 'awards', 'projects', 'videos'],
+        summaries: true
+    }
+};
+
+const SECTION_TITLES = {
+    work: 'Experience',
+    education: 'Education',
+    skills: 'Technical Skills',
+    certificates: 'Certifications',
+    awards: 'Awards & Honors',
+    projects: 'Projects',
+    videos: 'Videos'
+};
+
+module.exports = function renderPdf(templates = resumeData.PDF_TEMPLATES) {
+    const unknown = templates.find(template => !TEMPLATES[template]);
+    if (unknown) {
+        return Promise.reject(new Error(`Unknown PDF template "${unknown}", expected one of: ${Object.keys(TEMPLATES).join(', ')}`));
+    }
+
+    const resume = resumeData.loadResume();
+
+    return Promise.all(templates.map(template => {
+        const filePath = upath.join(destPath, resumeData.getPdfPath(resume, template));
+        console.log(`### INFO: Rendering ${template} resume to ${filePath}`);
+        sh.mkdir('-p', upath.dirname(filePath));
+
+        return _writePdf(resume, TEMPLATES[template], template, filePath);
+    }));
+};
+
+function _writePdf(resume, layout, template, filePath) {
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: layout.margin,
+        bufferPages: true,
+        info: {
+            Title: `${resume.basics.name} - Resume`,
+            Author: resume.basics.name,
+            Subject: resume.basics.label || '',
+            Keywords: ((resume.meta && resume.meta.keywords) || []).join(', ')
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        const stream = fs.createWriteStream(filePath);
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+        doc.pipe(stream);
+
+        _renderHeader(doc, resume, layout);
+        layout.sections
+            .filter(section => (resume[section] || []).length > 0)
+            .forEach(section => {
+                _renderHeading(doc, SECTION_TITLES[section], layout);
+                SECTION_RENDERERS[section](doc, resume[section], layout);
+            });
+
+        const pages = doc.bufferedPageRange().count;
+        if (template === 'one-page' && pages > 1) {
+            console.log(`### WARNING: The one-page resume runs to ${pages} pages; trim the data or use the detailed template`);
+        }
+
+        doc.end();
+    });
+}
+
+// ==========================================
+// TEXT HELPERS
+// ==========================================
+
+function _contentWidth(doc) {
+    return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+// Starts a new page when less than `height` is left, so titles never sit alone at the bottom
+function _keepTogether(doc, height) {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+    }
+}
+
+// Writes text that may contain **bold** and *italic* runs, wrapping as one paragraph
+function _richText(doc, text, x, options = {}) {
+    const runs = text.split(/(\*\*.+?\*\*|\*.+?\*)/).filter(Boolean);
+    const width = options.width || _contentWidth(doc) - (x - doc.page.margins.left);
+
+    runs.forEach((run, index) => {
+        let font = 'Helvetica';
+        if (run.startsWith('**')) {
+            font = 'Helvetica-Bold';
+            run = run.slice(2, -2);
+        } else if (run.startsWith('*')) {
+            font = 'Helvetica-Oblique';
+            run = run.slice(1, -1);
+        }
+
+        const runOptions = { width, lineGap: 1.5, continued: index < runs.length - 1 };
+        doc.font(font).fillColor(COLORS.text);
+        if (index === 0) {
+            doc.text(run, x, doc.y, runOptions);
+        } else {
+            doc.text(run, runOptions);
+        }
+    });
+}
+
+// A bold title with a muted date pushed to the right margin on the same line
+function _renderEntryTitle(doc, title, date, layout) {
+    _keepTogether(doc, layout.fontSize * 5);
+
+    const left = doc.page.margins.left;
+    const width = _contentWidth(doc);
+    const top = doc.y;
+
+    doc.font('Helvetica').fontSize(layout.fontSize);
+    const dateWidth = date ? doc.widthOfString(date) + 8 : 0;
+
+    doc.font('Helvetica-Bold').fontSize(layout.fontSize + 1).fillColor(COLORS.text)
+        .text(title, left, top, { width: width - dateWidth });
+    const bottom = doc.y;
+
+    if (date) {
+        doc.font('Helvetica').fontSize(layout.fontSize).fillColor(COLORS.muted)
+            .text(date, left, top + 1, { width, align: 'right' });
+    }
+
+    doc.x = left;
+    doc.y = Math.max(bottom, doc.y);
+    doc.fontSize(layout.fontSize);
+}
+
+function _renderSubtitle(doc, text, layout) {
+    doc.font('Helvetica-Oblique').fontSize(layout.fontSize).fillColor(COLORS.muted)
+        .text(text, doc.page.margins.left, doc.y);
+}
+
+function _renderBullets(doc, items, layout) {
+    const left = doc.page.margins.left;
+    const indent = layout.fontSize;
+
+    items.forEach(item => {
+        const top = doc.y;
+        doc.font('Helvetica').fontSize(layout.fontSize).fillColor(COLORS.accent).text('•', left + 2, top);
+        doc.y = top;
+        _richText(doc, item, left + indent);
+    });
+    doc.x = left;
+}
+
+function _renderParagraph(doc, text, layout) {
+    doc.fontSize(layout.fontSize);
+    text.split('\n').forEach(line => _richText(doc, line, doc.page.margins.left));
+}
+
+// ==========================================
+// SECTIONS
+// ==========================================
+
+function _renderHeader(doc, resume, layout) {
+    const { basics } = resume;
+    const left = doc.page.margins.left;
+    const name = resumeData.splitName(basics.name);
+
+    doc.font('Helvetica-Bold').fontSize(layout.fontSize * 2.6).fillColor(COLORS.text)
+        .text(`${name.first} `, left, doc.y, { continued: true })
+        .fillColor(COLORS.accent).text(name.last);
+
+    if (basics.label) {
+        doc.font('Helvetica').fontSize(layout.fontSize + 2).fillColor(COLORS.muted).text(basics.label);
+    }
+
+    const contact = [
+        basics.location && [basics.location.city, basics.location.country].filter(Boolean).join(', '),
+        basics.email,
+        basics.url
+    ].filter(Boolean);
+    doc.moveDown(0.3).font('Helvetica').fontSize(layout.fontSize).fillColor(COLORS.text).text(contact.join('  ·  '));
+
+    const profiles = (basics.profiles || []).map(profile => profile.url.replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, ''));
+    if (profiles.length > 0) {
+        doc.fillColor(COLORS.muted).text(profiles.join('  ·  '));
+    }
+
+    if (basics.summary) {
+        doc.moveDown(0.6);
+        _renderParagraph(doc, basics.summary, layout);
+    }
+}
+
+function _renderHeading(doc, title, layout) {
+    const left = doc.page.margins.left;
+
+    doc.moveDown(layout.sectionGap / layout.fontSize);
+    _keepTogether(doc, layout.fontSize * 8);
+    doc.font('Helvetica-Bold').fontSize(layout.fontSize + 3).fillColor(COLORS.accent)
+        .text(title.toUpperCase(), left, doc.y, { characterSpacing: 1 });
+
+    const y = doc.y + 1;
+    doc.moveTo(left, y).lineTo(left + _contentWidth(doc), y).lineWidth(0.75).strokeColor(COLORS.accent).stroke();
+    doc.y = y + 4;
+    doc.fontSize(layout.fontSize);
+}
+
+function _entryGap(doc, index, layout) {
+    if (index > 0) {
+        doc.y += layout.entryGap;
+    }
+}
+
+const SECTION_RENDERERS = {
+    work(doc, work, layout) {
+        work.forEach((job, index) => {
+            _entryGap(doc, index, layout);
+            _renderEntryTitle(doc, `${job.position} - ${job.name}`, resumeData.formatDateRange(job.startDate, job.endDate), layout);
+            if (job.location) {
+                _renderSubtitle(doc, job.location, layout);
+            }
+
+            const highlights = (job.highlights || []).slice(0, layout.maxHighlights);
+            if (highlights.length > 0) {
+                _renderBullets(doc, highlights, layout);
+            }
+            if (job.summary && (layout.summaries || highlights.length === 0)) {
+                _renderParagraph(doc, job.summary, layout);
+            }
+        });
+    },
+
+    education(doc, education, layout) {
+        education.forEach((school, index) => {
+            _entryGap(doc, index, layout);
+            _renderEntryTitle(doc, school.institution, resumeData.formatDateRange(school.startDate, school.endDate), layout);
+            const study = school.area ? `${school.studyType} in ${school.area}` : school.studyType;
+            _renderSubtitle(doc, [study, school.score].filter(Boolean).join('  ·  '), layout);
+        });
+    },
+
+    skills(doc, skills, layout) {
+        resumeData.groupBy(skills, 'group').forEach(group => {
+            group.items.forEach(skill => {
+                const label = skill.name === group.name ? group.name : skill.name;
+                const keywords = skill.keywords.join(skill.separator || ', ') + (skill.note && layout.summaries ? ` - ${skill.note}` : '');
+                _richText(doc, `**${label}:** ${keywords}`, doc.page.margins.left);
+            });
+        });
+    },
+
+    certificates(doc, certificates, layout) {
+        certificates.forEach((certificate, index) => {
+            _entryGap(doc, index, layout);
+            _renderEntryTitle(doc, certificate.name, `Issued ${resumeData.formatDate(certificate.date)}`, layout);
+            const issuer = certificate.credentialId ? `${certificate.issuer}  ·  Credential ID ${certificate.credentialId}` : certificate.issuer;
+            _renderSubtitle(doc, issuer, layout);
+            if (certificate.summary && layout.summaries) {
+                _renderParagraph(doc, certificate.summary, layout);
+            }
+        });
+    },
+
+    awards(doc, awards, layout) {
+        awards.forEach((award, index) => {
+            _entryGap(doc, index, layout);
+            const title = award.subject ? `${award.title} - ${award.subject}` : award.title;
+            _renderEntryTitle(doc, title, resumeData.formatDate(award.date), layout);
+            _renderSubtitle(doc, award.awarder, layout);
+            if (award.summary && layout.summaries) {
+                _renderParagraph(doc, award.summary, layout);
+            }
+        });
+    },
+
+    projects(doc, projects, layout) {
+        resumeData.groupBy(projects, 'entity').forEach(group => {
+            _richText(doc, `**${group.name}:** ${group.items.map(project => project.name).join(', ')}`, doc.page.margins.left);
+        });
+    },
+
+    videos(doc, videos, layout) {
+        videos.forEach(video => {
+            // Link to the watch page rather than the embed player
+            const url = video.url.replace(/[?&]si=.*$/, '').replace('/embed/', '/watch?v=');
+            doc.font('Helvetica-Bold').fontSize(layout.fontSize).fillColor(COLORS.text)
+                .text(`${video.name}: `, doc.page.margins.left, doc.y, { continued: true })
+                .font('Helvetica').fillColor(COLORS.accent).text(url, { link: url });
+        });
+    }
+};
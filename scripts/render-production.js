@@ -0,0 +1,143 @@
+'use strict';
+const crypto = require('crypto');
+const fs = require('fs');
+const upath = require('upath');
+const sass = require('sass');
+const sh = require('shelljs');
+const terser = require('terser');
+
+const destPath = upath.resolve(upath.dirname(__filename), '../dist');
+const manifestPath = upath.join(destPath, 'asset-manifest.json');
+
+// Local scripts only; CDN scripts keep their own URLs and integrity hashes
+const SCRIPT_TAG = /<script src="(js\/[^"]+\.js)"([^>]*)><\/script>/g;
+const STYLESHEET_HREF = /(<link\b[^>]*\bhref=")(css\/[^"]+\.css)(")/g;
+
+// Scripts separated by nothing but whitespace and comments run back to back, so they can share a file
+const BETWEEN_SCRIPTS = /^(\s|<!--((?!-->)[\s\S])*-->)*$/;
+
+// Post-processes a finished `dist`: minifies the stylesheets, bundles each run of local
+// scripts, fingerprints both with a content hash and points the pages at the new files.
+// `dist/asset-manifest.json` maps every original path to the file that now serves it.
+module.exports = function renderProduction() {
+    const manifest = {};
+    let pages;
+
+    return Promise.resolve().then(() => {
+        _minifyStylesheets(manifest);
+
+        pages = sh.find(destPath)
+            .filter(filePath => filePath.endsWith('.html'))
+            .map(filePath => {
+                const html = fs.readFileSync(filePath, 'utf8');
+                return { filePath, html, runs: _findScriptRuns(html) };
+            });
+
+        // A run shared by several pages is bundled once
+        const bundles = new Map();
+        pages.forEach(page => page.runs.forEach(run => bundles.set(run.files.join(), run.files)));
+
+        return Promise.all(Array.from(bundles.values(), files => _bundleScripts(files).then(fileName => {
+            _addToManifest(manifest, files, fileName);
+        })));
+    }).then(() => {
+        pages.forEach(page => {
+            fs.writeFileSync(page.filePath, _rewritePage(page, manifest));
+            console.log(`### INFO: Rewrote asset references in ${upath.relative(destPath, page.filePath)}`);
+        });
+
+        Object.keys(manifest)
+            .filter(name => name.endsWith('.js'))
+            .forEach(name => sh.rm('-f', upath.join(destPath, name)));
+
+        fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+        console.log(`### INFO: Wrote ${upath.relative(destPath, manifestPath)}`);
+    });
+};
+
+function _minifyStylesheets(manifest) {
+    sh.ls(`${destPath}/css/*.css`).forEach(filePath => {
+        const name = upath.relative(destPath, filePath);
+        const css = fs.readFileSync(filePath, 'utf8');
+        const minified = sass.compileString(css, { syntax: 'css', style: 'compressed' }).css;
+
+        _addToManifest(manifest, [name], _writeFingerprinted(name, minified));
+        _logSize(name, manifest[name], css, minified);
+        sh.rm(filePath);
+    });
+}
+
+function _findScriptRuns(html) {
+    const runs = [];
+    let run = null;
+
+    for (const match of html.matchAll(SCRIPT_TAG)) {
+        const [tag, src, attributes] = match;
+        const start = match.index;
+
+        // Scripts with extra attributes (data-report-url, defer...) keep a tag of their own
+        const joinsRun = run && !run.attributes && !attributes.trim() && BETWEEN_SCRIPTS.test(html.slice(run.end, start));
+        if (joinsRun) {
+            run.files.push(src);
+            run.end = start + tag.length;
+        } else {
+            run = { files: [src], attributes: attributes.trim(), start, end: start + tag.length };
+            runs.push(run);
+        }
+    }
+    return runs;
+}
+
+function _bundleScripts(files) {
+    const sources = {};
+    files.forEach(name => {
+        sources[name] = fs.readFileSync(upath.join(destPath, name), 'utf8');
+    });
+
+    // Every script is an IIFE or UMD wrapper, so concatenating them keeps their scopes apart
+    return terser.minify(sources, { format: { comments: 'some' } }).then(result => {
+        const name = files.length === 1 ? files[0] : 'js/bundle.js';
+        const fileName = _writeFingerprinted(name, result.code);
+
+        const original = Object.values(sources).join('\n');
+        _logSize(files.length === 1 ? name : `${files.length} scripts`, fileName, original, result.code);
+        return fileName;
+    });
+}
+
+function _rewritePage(page, manifest) {
+    let html = page.html;
+
+    // Back to front so the earlier runs' offsets stay valid
+    page.runs.slice().reverse().forEach(run => {
+        const attributes = run.attributes ? ` ${run.attributes}` : '';
+        const tag = `<script src="${manifest[run.files[0]]}"${attributes}></script>`;
+        html = html.slice(0, run.start) + tag + html.slice(run.end);
+    });
+
+    return html.replace(STYLESHEET_HREF, (match, before, href, after) => manifest[href] ? `${before}${manifest[href]}${after}` : match);
+}
+
+// `css/styles.css` becomes `css/styles.<hash>.css`; the hash changes only when the content does
+function _writeFingerprinted(name, content) {
+    const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 10);
+    const extension = upath.extname(name);
+    const fileName = `${name.slice(0, -extension.length)}.${hash}${extension}`;
+
+    fs.writeFileSync(upath.join(destPath, fileName), content);
+    return fileName;
+}
+
+function _addToManifest(manifest, names, fileName) {
+    names.forEach(name => {
+        if (manifest[name] && manifest[name] !== fileName) {
+            console.log(`### WARNING: ${name} is bundled differently on different pages; the manifest lists ${fileName}`);
+        }
+        manifest[name] = fileName;
+    });
+}
+
+function _logSize(label, fileName, original, minified) {
+    const kilobytes = text => `${(Buffer.byteLength(text) / 1024).toFixed(1)} KB`;
+    console.log(`### INFO: ${label} -> ${fileName} (${kilobytes(original)} -> ${kilobytes(minified)})`);
+}
@@ -4,16 +4,32 @@ const upath = require('upath');
 const pug = require('pug');
 const sh = require('shelljs');
 const prettier = require('prettier');
+const resumeData = require('./resume-data');
+const responsiveImages = require('./responsive-images');
+const { loadSnippetSources } = require('./snippet-sources');
 
 module.exports = function renderPug(filePath) {
     const destPath = filePath.replace(/src\/pug\//, 'dist/').replace(/\.pug$/, '.html');
     const srcPath = upath.resolve(upath.dirname(__filename), '../src');
 
     console.log(`### INFO: Rendering ${filePath} to ${destPath}`);
+    const resume = resumeData.loadResume();
     const html = pug.renderFile(filePath, {
         doctype: 'html',
         filename: filePath,
-        basedir: srcPath
+        basedir: srcPath,
+        resume: resume,
+        resumePdf: resumeData.getPdfPath(resume),
+        formatDate: resumeData.formatDate,
+        formatDateRange: resumeData.formatDateRange,
+        formatInline: resumeData.formatInline,
+        splitName: resumeData.splitName,
+        groupBy: resumeData.groupBy,
+        snippetSources: loadSnippetSources(),
+        // SVG icons are inlined so they pick up the surrounding text colour
+        inlineSvg: (assetPath) => fs.readFileSync(upath.resolve(srcPath, '..', assetPath), 'utf8').trim(),
+        // Dimensions and AVIF/WebP srcsets of the variants scripts/render-assets.js generates
+        responsiveImage: responsiveImages.getResponsiveImage
     });
 
     const destPathDirname = upath.dirname(destPath);
@@ -4,16 +4,34 @@ const packageJSON = require('../package.json');
 const upath = require('upath');
 const sh = require('shelljs');
 
+const sourcePath = upath.resolve(upath.dirname(__filename), '../src/js');
+// The page's own modules live in the root js folder
+const sharedPath = upath.resolve(upath.dirname(__filename), '../js');
+const destPath = upath.resolve(upath.dirname(__filename), '../dist/js');
+
+const sourcePathScriptsJS = upath.join(sourcePath, 'scripts.js');
+
 module.exports = function renderScripts() {
 
-    const sourcePath = upath.resolve(upath.dirname(__filename), '../src/js');
-    const destPath = upath.resolve(upath.dirname(__filename), '../dist/.');
-    
-    sh.cp('-R', sourcePath, destPath)
+    sh.cp('-R', sourcePath, upath.resolve(destPath, '..'))
+
+    renderScript(sourcePathScriptsJS);
+
+    sh.ls(`${sharedPath}/*.js`).forEach(filePath => renderScript(filePath));
+};
+
+// Copies a single file from src/js or the root js folder; the theme's scripts.js gets its banner
+function renderScript(filePath) {
+    const root = filePath.startsWith(`${sourcePath}/`) ? sourcePath : sharedPath;
+    const destFilePath = upath.join(destPath, upath.relative(root, filePath));
+
+    sh.mkdir('-p', upath.dirname(destFilePath));
+
+    if (filePath !== sourcePathScriptsJS) {
+        sh.cp(filePath, destFilePath);
+        return;
+    }
 
-    const sourcePathScriptsJS = upath.resolve(upath.dirname(__filename), '../src/js/scripts.js');
-    const destPathScriptsJS = upath.resolve(upath.dirname(__filename), '../dist/js/scripts.js');
-    
     const copyright = `/*!
 * Start Bootstrap - ${packageJSON.title} v${packageJSON.version} (${packageJSON.homepage})
 * Copyright 2013-${new Date().getFullYear()} ${packageJSON.author}
@@ -21,6 +39,8 @@ module.exports = function renderScripts() {
 */
 `
     const scriptsJS = fs.readFileSync(sourcePathScriptsJS);
-    
-    fs.writeFileSync(destPathScriptsJS, copyright + scriptsJS);
-};
\ No newline at end of file
+
+    fs.writeFileSync(destFilePath, copyright + scriptsJS);
+}
+
+module.exports.renderScript = renderScript;
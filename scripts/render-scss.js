@@ -24,7 +24,10 @@ module.exports = function renderSCSS() {
         sh.mkdir('-p', destPathDirname);
     }
 
-    postcss([ autoprefixer ]).process(results.css, {from: 'styles.css', to: 'styles.css'}).then(result => {
+    // Hand-written theme used by the page alongside Bootstrap from the CDN
+    copyTheme();
+
+    return postcss([ autoprefixer ]).process(results.css, {from: 'styles.css', to: 'styles.css'}).then(result => {
         result.warnings().forEach(warn => {
             console.warn(warn.toString())
         })
@@ -33,6 +36,13 @@ module.exports = function renderSCSS() {
 
 };
 
+function copyTheme() {
+    sh.mkdir('-p', upath.dirname(destPath));
+    sh.cp(upath.resolve(upath.dirname(__filename), '../css/styles-modern.css'), upath.dirname(destPath));
+}
+
+module.exports.copyTheme = copyTheme;
+
 const entryPoint = `/*!
 * Start Bootstrap - ${packageJSON.title} v${packageJSON.version} (${packageJSON.homepage})
 * Copyright 2013-${new Date().getFullYear()} ${packageJSON.author}
@@ -0,0 +1,140 @@
+'use strict';
+const crypto = require('crypto');
+const fs = require('fs');
+const childProcess = require('child_process');
+const upath = require('upath');
+const sh = require('shelljs');
+const { parseSnippetMetadata, isCodeFileName } = require('../js/snippet-metadata');
+const { loadSnippetSources, normalizeSource } = require('./snippet-sources');
+
+const destPath = upath.resolve(upath.dirname(__filename), '../dist/snippets');
+
+// `sourceDir` is a checkout of the repository source `sourceId` from src/snippet-sources.json,
+// by default the first one. The manifest gets a section for that source; the page loads
+// every other source straight from GitHub and merges the two.
+module.exports = function renderSnippets(sourceDir, sourceId) {
+    if (!sourceDir || !sh.test('-d', sourceDir)) {
+        console.log(`### WARNING: Snippets source ${sourceDir} not found, skipping manifest`);
+        return null;
+    }
+
+    const sources = loadSnippetSources().map(normalizeSource);
+    const source = sources.find(candidate => candidate.type === 'github' && (!sourceId || candidate.id === sourceId));
+    if (!source) {
+        throw new Error(`No repository source${sourceId ? ` "${sourceId}"` : ''} in src/snippet-sources.json`);
+    }
+
+    const checkout = _readGitCheckout(sourceDir, source.folder);
+    const files = checkout ? checkout.files : _readFolder(sourceDir);
+
+    sh.rm('-rf', destPath);
+    sh.mkdir('-p', upath.join(destPath, 'files'));
+
+    const snippets = files
+        .filter(file => isCodeFileName(file.path))
+        .sort((a, b) => a.path.localeCompare(b.path))
+        .map(({ path, content, history }) => {
+            const filename = upath.basename(path);
+            // Nested under the source id so sections never overwrite each other's files
+            const file = `files/${source.id}/${path}`;
+            const fileDest = upath.join(destPath, file);
+            sh.mkdir('-p', upath.dirname(fileDest));
+            fs.writeFileSync(fileDest, content);
+
+            const metadata = parseSnippetMetadata(content, filename, upath.dirname(path).replace(/^\.$/, ''));
+            metadata.warnings.forEach(warning => console.log(`### WARNING: ${path}: ${warning}`));
+
+            // The source's default category, as the page applies it to snippets it loads itself
+            if (metadata.categories.length === 0 && source.category) {
+                metadata.category = source.category;
+                metadata.categories = [source.category];
+            }
+
+            return {
+                filename: filename,
+                path: path,
+                sha: _gitBlobSha(content),
+                lines: content.split('\n').length,
+                metadata: metadata,
+                file: file,
+                url: `https://github.com/${source.username}/${source.repo}/blob/${source.branch}/${source.folder}/${path}`,
+                history: (history || []).map(commit => Object.assign(commit, {
+                    url: `https://github.com/${source.username}/${source.repo}/commit/${commit.sha}`,
+                    raw: `https://raw.githubusercontent.com/${source.username}/${source.repo}/${commit.sha}/${source.folder}/${path}`
+                }))
+            };
+        });
+
+    const manifest = {
+        sources: [Object.assign({}, source, { commit: checkout ? checkout.commit : null, snippets: snippets })]
+    };
+
+    const manifestPath = upath.join(destPath, 'manifest.json');
+    console.log(`### INFO: Writing ${snippets.length} snippets from ${source.id} to ${manifestPath}`);
+    sources.filter(other => other !== source).forEach(other => {
+        console.log(`### INFO: ${other.id} is not in the manifest; the page loads it from GitHub`);
+    });
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+
+    return manifest;
+};
+
+// Matches HISTORY_LIMIT in js/github-snippets.js
+const historyLimit = 10;
+
+// Paths are relative to the snippets folder, e.g. 'systems/pooling/ObjectPool.cs'
+function _readFolder(dir, prefix = '') {
+    return fs.readdirSync(upath.join(dir, prefix), { withFileTypes: true })
+        .flatMap(entry => {
+            const path = prefix ? `${prefix}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                return entry.name.startsWith('.') ? [] : _readFolder(dir, path);
+            }
+            return entry.isFile()
+                ? [{ path: path, content: fs.readFileSync(upath.join(dir, path), 'utf8') }]
+                : [];
+        });
+}
+
+// Checkouts are read from the committed HEAD tree, so uncommitted local edits never ship
+function _readGitCheckout(dir, folder) {
+    if (!sh.test('-e', upath.join(dir, '.git'))) {
+        return null;
+    }
+
+    const git = (...args) => childProcess.execFileSync('git', ['-C', dir, ...args], { encoding: 'utf8' });
+    const files = git('ls-tree', '-r', '--name-only', 'HEAD', `${folder}/`)
+        .split('\n')
+        // Only code files are worth reading; assets would cost a git show and log each for nothing
+        .filter(line => line && isCodeFileName(line))
+        .map(repoPath => ({
+            path: repoPath.slice(folder.length + 1),
+            content: git('show', `HEAD:${repoPath}`),
+            history: _readFileHistory(git, repoPath)
+        }));
+
+    return {
+        commit: git('rev-parse', 'HEAD').trim(),
+        files: files
+    };
+}
+
+// Newest first, in the same shape the browser builds from the commits API
+function _readFileHistory(git, repoPath) {
+    return git('log', `-n${historyLimit}`, '--format=%H%x1f%aI%x1f%an%x1f%s', 'HEAD', '--', repoPath)
+        .split('\n')
+        .filter(line => line)
+        .map(line => {
+            const [sha, date, author, message] = line.split('\x1f');
+            return { sha, date, author, message };
+        });
+}
+
+// Same hash GitHub reports as `sha`, so browser cache keys line up with the live API
+function _gitBlobSha(content) {
+    const buffer = Buffer.from(content, 'utf8');
+    return crypto.createHash('sha1')
+        .update(`blob ${buffer.length}\0`)
+        .update(buffer)
+        .digest('hex');
+}
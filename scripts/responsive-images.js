@@ -0,0 +1,82 @@
+'use strict';
+const fs = require('fs');
+const upath = require('upath');
+const sizeOf = require('image-size');
+
+const rootPath = upath.resolve(upath.dirname(__filename), '..');
+
+// Covers the profile photo (7rem) and the project icons (under 120px) at up to 3x pixel density
+const WIDTHS = [96, 192, 384];
+
+// Listed best first; browsers take the first <source> they support
+const FORMATS = [
+    { extension: 'avif', type: 'image/avif' },
+    { extension: 'webp', type: 'image/webp' }
+];
+
+function isResizableImage(filePath) {
+    return /\.(png|jpe?g|webp)$/i.test(filePath);
+}
+
+// `profile.jpg~`, `.profile.jpg.swp`, `#profile.jpg#`
+function isBackupFile(filePath) {
+    return /(~|\.sw[po]|^#.*#)$/.test(upath.basename(filePath));
+}
+
+// Never upscales: an image narrower than a width gets one variant at its own size instead
+function getVariantWidths(width) {
+    const widths = WIDTHS.filter(candidate => candidate < width);
+    if (width <= WIDTHS[WIDTHS.length - 1]) {
+        widths.push(width);
+    }
+    return widths;
+}
+
+// `assets/icons/tss.png` -> `assets/icons/tss-192w.webp`
+function getVariantPath(assetPath, width, extension) {
+    return `${assetPath.slice(0, -upath.extname(assetPath).length)}-${width}w.${extension}`;
+}
+
+// Size as displayed, so EXIF-rotated photos report their upright dimensions
+function getImageSize(filePath) {
+    const { width, height, orientation } = sizeOf(filePath);
+    return orientation >= 5 ? { width: height, height: width } : { width, height };
+}
+
+// Everything the picture mixin needs for a site-relative asset path such as `assets/img/profile.jpg`
+function getResponsiveImage(assetPath) {
+    const filePath = upath.join(rootPath, assetPath);
+
+    // Linked as-is, so a missing file shows up as a broken image rather than a failed build
+    if (!isResizableImage(assetPath) || !fs.existsSync(filePath)) {
+        if (!fs.existsSync(filePath)) {
+            console.log(`### WARNING: ${assetPath} not found, linking it without responsive variants`);
+        }
+        return { src: encodeURI(assetPath), sources: [] };
+    }
+
+    const { width, height } = getImageSize(filePath);
+    const widths = getVariantWidths(width);
+
+    return {
+        src: encodeURI(assetPath),
+        width,
+        height,
+        sources: FORMATS.map(format => ({
+            type: format.type,
+            // srcset is comma and space separated, so file names with spaces must be encoded
+            srcset: widths.map(w => `${encodeURI(getVariantPath(assetPath, w, format.extension))} ${w}w`).join(', ')
+        }))
+    };
+}
+
+module.exports = {
+    WIDTHS,
+    FORMATS,
+    isResizableImage,
+    isBackupFile,
+    getVariantWidths,
+    getVariantPath,
+    getImageSize,
+    getResponsiveImage
+};
@@ -0,0 +1,90 @@
+'use strict';
+const fs = require('fs');
+const upath = require('upath');
+
+const resumePath = upath.resolve(upath.dirname(__filename), '../src/resume.json');
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Read fresh on every call so watch rebuilds pick up edits
+function loadResume() {
+    return JSON.parse(fs.readFileSync(resumePath, 'utf8'));
+}
+
+// JSON Resume dates are `YYYY`, `YYYY-MM` or `YYYY-MM-DD`; only as much as was given is shown
+function formatDate(date) {
+    const [year, month] = date.split('-');
+    return month ? `${MONTHS[Number(month) - 1]} ${year}` : year;
+}
+
+// A missing end date means the role is ongoing
+function formatDateRange(startDate, endDate) {
+    return `${formatDate(startDate)} - ${endDate ? formatDate(endDate) : 'Present'}`;
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Text fields may use **bold**, *italic* and line breaks; everything else is escaped
+function formatInline(text) {
+    return escapeHtml(text)
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*(.+?)\*/g, '<em>$1</em>')
+        .replace(/\n/g, '<br>\n');
+}
+
+function splitName(name) {
+    const parts = name.trim().split(/\s+/);
+    return { first: parts.slice(0, -1).join(' ') || parts[0], last: parts.length > 1 ? parts[parts.length - 1] : '' };
+}
+
+// Keeps first-seen order, so the data file decides how groups are listed
+function groupBy(items, key) {
+    return items.reduce((groups, item) => {
+        let group = groups.find(g => g.name === item[key]);
+        if (!group) {
+            group = { name: item[key], items: [] };
+            groups.push(group);
+        }
+        group.items.push(item);
+        return groups;
+    }, []);
+}
+
+// Templates scripts/render-pdf.js can lay out; `meta.pdfTemplate` picks the one the page links to
+const PDF_TEMPLATES = ['one-page', 'detailed'];
+
+function getPdfTemplate(resume) {
+    const template = resume.meta && resume.meta.pdfTemplate;
+    return PDF_TEMPLATES.includes(template) ? template : PDF_TEMPLATES[0];
+}
+
+// Named after the person so downloads are recognisable, e.g. "Jane Doe - Resume.pdf"
+function getPdfFileName(resume, template) {
+    const suffix = template === PDF_TEMPLATES[0] ? '' : ` (${template.charAt(0).toUpperCase()}${template.slice(1)})`;
+    return `${resume.basics.name} - Resume${suffix}.pdf`;
+}
+
+// Site-relative path of a generated PDF, as linked from the page
+function getPdfPath(resume, template = getPdfTemplate(resume)) {
+    return `assets/pdf/${getPdfFileName(resume, template)}`;
+}
+
+module.exports = {
+    resumePath,
+    PDF_TEMPLATES,
+    getPdfTemplate,
+    getPdfFileName,
+    getPdfPath,
+    loadResume,
+    formatDate,
+    formatDateRange,
+    formatInline,
+    splitName,
+    groupBy
+};
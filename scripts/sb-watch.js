@@ -1,14 +1,32 @@
 'use strict';
 
-const _ = require('lodash');
 const chokidar = require('chokidar');
+const fs = require('fs');
 const upath = require('upath');
+const sh = require('shelljs');
+const createDependencyGraph = require('./dependency-graph');
 const renderAssets = require('./render-assets');
+const renderPdf = require('./render-pdf');
 const renderPug = require('./render-pug');
 const renderScripts = require('./render-scripts');
 const renderSCSS = require('./render-scss');
+const { resumePath } = require('./resume-data');
+const { sourcesPath } = require('./snippet-sources');
+const { isBackupFile } = require('./responsive-images');
 
-const watcher = chokidar.watch('src', {
+const rootPath = upath.resolve(upath.dirname(__filename), '..');
+const srcPath = upath.join(rootPath, 'src');
+const distPath = upath.join(rootPath, 'dist');
+
+const scssEntryPath = upath.join(srcPath, 'scss/styles.scss');
+const themePath = upath.join(rootPath, 'css/styles-modern.css');
+const assetsPath = upath.join(rootPath, 'assets');
+const scriptPaths = [upath.join(srcPath, 'js'), upath.join(rootPath, 'js')];
+
+// The page's own modules, theme and assets live at the root; editor backups are left out
+const watcher = chokidar.watch(['src', 'js', 'css/styles-modern.css', 'assets'], {
+    cwd: rootPath,
+    ignored: filePath => isBackupFile(filePath),
     persistent: true,
 });
 
@@ -16,71 +34,228 @@ let READY = false;
 
 process.title = 'pug-watch';
 process.stdout.write('Loading');
-let allPugFiles = {};
 
-watcher.on('add', filePath => _processFile(upath.normalize(filePath), 'add'));
-watcher.on('change', filePath => _processFile(upath.normalize(filePath), 'change'));
+const graph = createDependencyGraph();
+const pugPages = new Set();
+
+['add', 'change', 'unlink', 'unlinkDir'].forEach(watchEvent => {
+    watcher.on(watchEvent, filePath => _processFile(upath.resolve(rootPath, filePath), watchEvent));
+});
 watcher.on('ready', () => {
     READY = true;
     console.log(' READY TO ROLL!');
 });
+watcher.on('error', err => console.log(`### ERROR: Watcher: ${err.message}`));
 
-_handleSCSS();
+_step('Compile SCSS', () => renderSCSS());
 
 function _processFile(filePath, watchEvent) {
-    
+
     if (!READY) {
-        if (filePath.match(/\.pug$/)) {
-            if (!filePath.match(/includes/) && !filePath.match(/mixins/) && !filePath.match(/\/pug\/layouts\//)) {
-                allPugFiles[filePath] = true;
-            }    
-        }    
+        if (_isPugPage(filePath)) {
+            pugPages.add(filePath);
+        }
+        graph.update(filePath);
         process.stdout.write('.');
         return;
     }
 
-    console.log(`### INFO: File event: ${watchEvent}: ${filePath}`);
+    console.log(`### INFO: File event: ${watchEvent}: ${_relative(filePath)}`);
 
-    if (filePath.match(/\.pug$/)) {
-        return _handlePug(filePath, watchEvent);
+    const start = Date.now();
+    return _handleFile(filePath, watchEvent).then(() => {
+        console.log(`### INFO: Finished ${watchEvent}: ${_relative(filePath)} in ${Date.now() - start}ms`);
+    });
+}
+
+function _handleFile(filePath, watchEvent) {
+
+    if (watchEvent === 'unlinkDir') {
+        return _handleDirectoryRemoved(filePath);
     }
 
-    if (filePath.match(/\.scss$/)) {
-        if (watchEvent === 'change') {
-            return _handleSCSS(filePath, watchEvent);
-        }
-        return;
+    if (filePath.match(/\.(pug|scss)$/)) {
+        return _handleTemplate(filePath, watchEvent);
     }
 
-    if (filePath.match(/src\/js\//)) {
-        return renderScripts();
+    if (filePath === resumePath) {
+        return _handleResume(watchEvent);
     }
 
-    if (filePath.match(/src\/assets\//)) {
-        return renderAssets();
+    if (filePath === sourcesPath) {
+        return _handleSnippetSources(watchEvent);
     }
 
+    if (_isWithin(filePath, assetsPath)) {
+        return _handleAsset(filePath, watchEvent);
+    }
+
+    if (scriptPaths.some(scriptPath => _isWithin(filePath, scriptPath))) {
+        return _handleCopy(filePath, watchEvent, () => renderScripts.renderScript(filePath));
+    }
+
+    if (filePath === themePath) {
+        return _handleCopy(filePath, watchEvent, () => renderSCSS.copyTheme());
+    }
+
+    return Promise.resolve();
 }
 
-function _handlePug(filePath, watchEvent) {
-    if (watchEvent === 'change') {
-        if (filePath.match(/includes/) || filePath.match(/mixins/) || filePath.match(/\/pug\/layouts\//)) {
-            return _renderAllPug();
+// ==========================================
+// HANDLERS
+// ==========================================
+
+// Pug pages and the SCSS entry are rebuilt when they, or anything they include or import, change
+function _handleTemplate(filePath, watchEvent) {
+    let affected;
+
+    if (watchEvent === 'unlink') {
+        // Work out what used the file before the graph forgets it
+        affected = _affectedOutputs(filePath);
+        graph.remove(filePath);
+        graph.refresh();
+        pugPages.delete(filePath);
+    } else {
+        graph.update(filePath);
+        if (watchEvent === 'add') {
+            // A new partial can satisfy an import that did not resolve before
+            graph.refresh();
+            if (_isPugPage(filePath)) {
+                pugPages.add(filePath);
+            }
         }
-        return renderPug(filePath);
+        affected = _affectedOutputs(filePath);
     }
-    if (!filePath.match(/includes/) && !filePath.match(/mixins/) && !filePath.match(/\/pug\/layouts\//)) {
-        return renderPug(filePath);
+
+    if (affected.length === 0) {
+        console.log(`### INFO: Nothing includes ${_relative(filePath)}, skipping`);
     }
+
+    return _runSteps(affected.map(output => {
+        if (output === filePath && watchEvent === 'unlink') {
+            return () => _removeOutput(filePath);
+        }
+        return () => _renderOutput(output);
+    }));
 }
 
-function _renderAllPug() {
-    console.log('### INFO: Rendering All');
-    _.each(allPugFiles, (value, filePath) => {
-        renderPug(filePath);
+// Every page and the PDF resumes read the resume data
+function _handleResume(watchEvent) {
+    if (watchEvent === 'unlink') {
+        console.log(`### WARNING: ${_relative(resumePath)} was removed; pages and PDFs keep their last build`);
+        return Promise.resolve();
+    }
+
+    return _runSteps([
+        ...Array.from(pugPages, page => () => _renderOutput(page)),
+        () => _step('Render PDF resumes', () => renderPdf())
+    ]);
+}
+
+// The pages embed the source list for js/github-snippets.js
+function _handleSnippetSources(watchEvent) {
+    if (watchEvent === 'unlink') {
+        console.log(`### WARNING: ${_relative(sourcesPath)} was removed; pages keep their last build`);
+        return Promise.resolve();
+    }
+
+    return _runSteps(Array.from(pugPages, page => () => _renderOutput(page)));
+}
+
+function _handleAsset(filePath, watchEvent) {
+    const steps = [];
+
+    if (watchEvent === 'unlink') {
+        steps.push(() => _step(`Remove ${_relative(_destPath(filePath))}`, () => renderAssets.removeAsset(filePath)));
+    } else {
+        steps.push(() => _step(`Copy ${_relative(filePath)}`, () => renderAssets.renderAsset(filePath)));
+    }
+
+    // Pages inline the SVG icons and measure the images named in the resume data
+    if (fs.readFileSync(resumePath, 'utf8').includes(upath.relative(rootPath, filePath))) {
+        pugPages.forEach(page => steps.push(() => _renderOutput(page)));
+    }
+
+    return _runSteps(steps);
+}
+
+function _handleCopy(filePath, watchEvent, copy) {
+    if (watchEvent === 'unlink') {
+        return _removeOutput(filePath);
+    }
+    return _step(`Copy ${_relative(filePath)}`, copy);
+}
+
+// Files inside get their own unlink events first; this clears the emptied folders
+function _handleDirectoryRemoved(dirPath) {
+    if (_isWithin(dirPath, assetsPath) || scriptPaths.some(scriptPath => _isWithin(dirPath, scriptPath))) {
+        return _removeOutput(dirPath);
+    }
+    return Promise.resolve();
+}
+
+// ==========================================
+// OUTPUTS
+// ==========================================
+
+function _isPugPage(filePath) {
+    return !!filePath.match(/\.pug$/) && !filePath.match(/includes/) && !filePath.match(/mixins/) && !filePath.match(/\/pug\/layouts\//);
+}
+
+function _affectedOutputs(filePath) {
+    return [filePath, ...graph.dependentsOf(filePath)].filter(output => pugPages.has(output) || output === scssEntryPath);
+}
+
+// Where a source file ends up in dist, mirroring the render-* scripts
+function _destPath(filePath) {
+    if (filePath.match(/\.pug$/)) {
+        return upath.join(distPath, upath.relative(upath.join(srcPath, 'pug'), filePath)).replace(/\.pug$/, '.html');
+    }
+    if (filePath === scssEntryPath) {
+        return upath.join(distPath, 'css/styles.css');
+    }
+    return upath.join(distPath, upath.relative(_isWithin(filePath, srcPath) ? srcPath : rootPath, filePath));
+}
+
+function _renderOutput(filePath) {
+    if (filePath === scssEntryPath) {
+        return _step('Compile SCSS', () => renderSCSS());
+    }
+    return _step(`Render ${_relative(filePath)}`, () => renderPug(filePath));
+}
+
+function _removeOutput(filePath) {
+    const destPath = _destPath(filePath);
+
+    return _step(`Remove ${_relative(destPath)}`, () => {
+        if (!_isWithin(destPath, distPath)) {
+            throw new Error(`${destPath} is outside dist`);
+        }
+        sh.rm('-rf', destPath);
     });
 }
 
-function _handleSCSS() {
-    renderSCSS();
-}
\ No newline at end of file
+// ==========================================
+// STEPS
+// ==========================================
+
+// Runs one build step, logging how long it took; failures are logged so the watcher keeps going
+function _step(label, task) {
+    const start = Date.now();
+
+    return new Promise(resolve => resolve(task()))
+        .then(() => console.log(`### INFO: ${label} (${Date.now() - start}ms)`))
+        .catch(err => console.log(`### ERROR: ${label} failed: ${err.message}`));
+}
+
+function _runSteps(steps) {
+    return steps.reduce((previous, step) => previous.then(step), Promise.resolve());
+}
+
+function _isWithin(filePath, dirPath) {
+    return filePath.startsWith(`${dirPath}/`);
+}
+
+function _relative(filePath) {
+    return upath.relative(rootPath, filePath);
+}
@@ -0,0 +1,28 @@
+'use strict';
+const fs = require('fs');
+const upath = require('upath');
+
+// Embedded in the page as #snippet-sources-config, so the browser and the manifest build read the same list
+const sourcesPath = upath.resolve(upath.dirname(__filename), '../src/snippet-sources.json');
+
+// Read fresh on every call so watch rebuilds pick up edits
+function loadSnippetSources() {
+    return JSON.parse(fs.readFileSync(sourcesPath, 'utf8'));
+}
+
+// Same defaults and ids as getSources() in js/github-snippets.js
+function normalizeSource(source) {
+    if (source.gist) {
+        return Object.assign({ label: 'Gist' }, source, { type: 'gist', id: source.id || `gist-${source.gist}` });
+    }
+    return Object.assign({ branch: 'main', folder: 'snippets', label: source.repo }, source, {
+        type: 'github',
+        id: source.id || `${source.username}/${source.repo}`
+    });
+}
+
+module.exports = {
+    sourcesPath,
+    loadSnippetSources,
+    normalizeSource
+};
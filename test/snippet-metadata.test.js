@@ -0,0 +1,142 @@
+'use strict';
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { parseSnippetMetadata } = require('../js/snippet-metadata');
+
+test('takes the description from a /// <summary> block', () => {
+    const content = '/// <summary>\n/// Pools bullets to avoid allocations\n/// </summary>\nclass Pool {}\n';
+    assert.strictEqual(parseSnippetMetadata(content, 'Pool.cs').description, 'Pools bullets to avoid allocations');
+});
+
+test('keeps URLs in a summary description', () => {
+    const content = '/// <summary>\n/// Port of https://gameprogrammingpatterns.com/object-pool.html\n/// </summary>\nclass Pool {}\n';
+    assert.strictEqual(parseSnippetMetadata(content, 'Pool.cs').description, 'Port of https://gameprogrammingpatterns.com/object-pool.html');
+});
+
+test('takes the description from a /** */ block, keeping URLs and operators', () => {
+    const content = '/**\n * Scales by a * b, see https://example.com/docs\n */\nfunction scale() {}\n';
+    assert.strictEqual(parseSnippetMetadata(content, 'scale.js').description, 'Scales by a * b, see https://example.com/docs');
+});
+
+test('reads front-matter fields, inline and dash lists and quoted values', () => {
+    const content = [
+        '// ---',
+        '// title: "Object Pool: Bullets"',
+        '// categories: [Patterns, Memory]',
+        '// tags:',
+        '//   - pooling',
+        "//   - 'zero alloc'",
+        '// difficulty: Advanced',
+        '// featured: yes',
+        '// date: 2024-03-01',
+        '// ---',
+        'class Pool {}'
+    ].join('\n');
+    const metadata = parseSnippetMetadata(content, 'Pool.cs');
+
+    assert.strictEqual(metadata.title, 'Object Pool: Bullets');
+    assert.strictEqual(metadata.category, 'patterns');
+    assert.deepStrictEqual(metadata.categories, ['patterns', 'memory']);
+    assert.deepStrictEqual(metadata.tags, ['pooling', 'zero alloc']);
+    assert.strictEqual(metadata.difficulty, 'advanced');
+    assert.strictEqual(metadata.featured, true);
+    assert.strictEqual(metadata.date, '2024-03-01');
+    assert.deepStrictEqual(metadata.warnings, []);
+});
+
+test('keeps line breaks in | block scalars and folds > and plain multi-line values', () => {
+    const content = [
+        '/*',
+        ' * ---',
+        ' * description: |',
+        ' *   First line',
+        ' *   Second line',
+        ' * author: >',
+        ' *   Jane',
+        ' *   Doe',
+        ' * unity-version: 2022.3',
+        ' *   LTS',
+        ' * ---',
+        ' */',
+        'function pool() {}'
+    ].join('\n');
+    const metadata = parseSnippetMetadata(content, 'pool.js');
+
+    assert.strictEqual(metadata.description, 'First line\nSecond line');
+    assert.strictEqual(metadata.author, 'Jane Doe');
+    assert.strictEqual(metadata.unityVersion, '2022.3 LTS');
+});
+
+test('skips front-matter lines that are not key: value and warns about them', () => {
+    const content = '// ---\n// title: Pool\n// just some text\n// ---\nclass Pool {}\n';
+    const metadata = parseSnippetMetadata(content, 'Pool.cs');
+
+    assert.strictEqual(metadata.title, 'Pool');
+    assert.deepStrictEqual(metadata.warnings, ['Front-matter line 2 is not "key: value": just some text']);
+});
+
+test('reads the header in the comment style of each language', () => {
+    const python = '#!/usr/bin/env python\n# ---\n# title: Build tool\n# ---\nprint("hi")\n';
+    const php = '<?php\n# ---\n# title: Router\n# ---\necho 1;\n';
+    const rust = '/// ---\n/// title: Arena\n/// ---\nstruct Arena;\n';
+
+    assert.strictEqual(parseSnippetMetadata(python, 'build.py').title, 'Build tool');
+    assert.strictEqual(parseSnippetMetadata(php, 'router.php').title, 'Router');
+    assert.strictEqual(parseSnippetMetadata(rust, 'arena.rs').title, 'Arena');
+});
+
+test('ignores comment markers that do not belong to the language', () => {
+    // `#` starts a preprocessor line in C, not a comment
+    const content = '# ---\n# title: Not a header\n# ---\nint main() {}\n';
+    const metadata = parseSnippetMetadata(content, 'main.c');
+
+    assert.strictEqual(metadata.title, 'main');
+    assert.deepStrictEqual(metadata.warnings, []);
+});
+
+test('falls back to legacy @key: lines when there is no front-matter', () => {
+    const content = [
+        '// @title: Object Pool',
+        '// @category: Patterns, Memory',
+        '// @tags: pooling, memory',
+        '/* @author: Jane */',
+        'class ObjectPool {}'
+    ].join('\n');
+    const metadata = parseSnippetMetadata(content, 'ObjectPool.cs');
+
+    assert.strictEqual(metadata.title, 'Object Pool');
+    assert.deepStrictEqual(metadata.categories, ['patterns', 'memory']);
+    assert.deepStrictEqual(metadata.tags, ['pooling', 'memory']);
+    assert.strictEqual(metadata.author, 'Jane');
+});
+
+test('takes the category from the folder when the header has none', () => {
+    const metadata = parseSnippetMetadata('// @title: Pool\nclass Pool {}\n', 'Pool.cs', 'Systems/Pooling');
+
+    assert.strictEqual(metadata.category, 'systems');
+    assert.deepStrictEqual(metadata.categories, ['systems', 'systems/pooling']);
+});
+
+test('returns warnings for invalid values, unknown fields and unclosed blocks', () => {
+    const content = [
+        '// ---',
+        '// date: 01/03/2024',
+        '// difficulty: expert',
+        '// featured: maybe',
+        '// colour: blue',
+        'class Pool {}'
+    ].join('\n');
+
+    assert.deepStrictEqual(parseSnippetMetadata(content, 'Pool.cs').warnings, [
+        'Front-matter block is missing its closing "---"',
+        '"date" should be YYYY-MM-DD, got "01/03/2024"',
+        '"difficulty" should be one of beginner, intermediate, advanced, got "expert"',
+        '"featured" should be true or false, got "maybe"',
+        'Unknown header field "colour"'
+    ]);
+    assert.deepStrictEqual(parseSnippetMetadata('/* ---\n * title: Pool\n', 'pool.js').warnings, [
+        'Header comment opened with "/*" is never closed',
+        'Front-matter block is missing its closing "---"'
+    ]);
+});
@@ -0,0 +1,121 @@
+'use strict';
+const assert = require('assert');
+const vm = require('vm');
+const { test } = require('node:test');
+const { transpile } = require('../js/snippet-runner');
+
+// Erases the types and runs what is left, returning the value of the last expression
+function run(code) {
+    return vm.runInNewContext(transpile(code, 'typescript'));
+}
+
+test('erases annotations, generics and assertions', () => {
+    const code = [
+        'function first<T>(items: T[], fallback?: T): T | undefined {',
+        '    return items.length ? items[0]! : fallback;',
+        '}',
+        'const n = first<number>([1, 2]) as number;',
+        'const s = { size: n } satisfies { size: number };',
+        'const fn = (a: number, b: number): number => a + b;',
+        'fn(n, s.size);'
+    ].join('\n');
+
+    assert.strictEqual(run(code), 2);
+});
+
+test('erases interfaces, type aliases and declare statements', () => {
+    const code = [
+        'interface Point { x: number; y: number }',
+        'type Pair<T> = [T, T];',
+        'declare const injected: string;',
+        'const p: Point = { x: 1, y: 2 };',
+        'const pair: Pair<number> = [p.x, p.y];',
+        'pair.join(",");'
+    ].join('\n');
+
+    assert.strictEqual(run(code), '1,2');
+});
+
+test('erases object types with commas and function members', () => {
+    const code = [
+        'const o = { k: 1 }',
+        'let u: { a: number, b: (x: string) => void } = { a: o.k, b: (x) => {} }',
+        'let v: { a: number; b: string };',
+        'v = { a: 2, b: "x" };',
+        'u.a + v.a;'
+    ].join('\n');
+
+    assert.strictEqual(run(code), 3);
+});
+
+test('erases this parameters', () => {
+    const code = [
+        'function withThis(this: { base: number }, x: number) { return this.base + x; }',
+        'function onlyThis(this: { base: number }) { return this.base; }',
+        'withThis.call({ base: 1 }, 2) + onlyThis.call({ base: 3 });'
+    ].join('\n');
+
+    assert.strictEqual(run(code), 6);
+});
+
+test('erases modifiers, parameter properties and overloads', () => {
+    const code = [
+        'abstract class Shape { abstract area(): number; }',
+        'class Square extends Shape {',
+        '    private static readonly sides: number = 4;',
+        '    constructor(public readonly size: number) { super(); }',
+        '    area(): number { return this.size * this.size; }',
+        '    scale(by: number): Square;',
+        '    scale(by: string): Square;',
+        '    scale(by: number | string): Square { return new Square(this.size * Number(by)); }',
+        '}',
+        'new Square(2).scale("2").area();'
+    ].join('\n');
+
+    assert.strictEqual(run(code), 16);
+});
+
+test('compiles enums to objects with reverse mappings', () => {
+    const code = [
+        'enum Color { Red, Green = 5, Blue }',
+        '[Color.Green, Color.Blue, Color[0]].join();'
+    ].join('\n');
+
+    assert.strictEqual(run(code), '5,6,Red');
+});
+
+test('keeps JavaScript unchanged', () => {
+    const code = 'const a = { b: 1 }; const c = a.b ? "x:y" : `${a.b}`; module.exports = c;';
+
+    assert.strictEqual(transpile(code, 'javascript'), code);
+});
+
+test('keeps generic calls and comparisons apart from casts', () => {
+    const code = [
+        'const identity = <T>(value: T): T => value;',
+        'const sizes = new Map<string, number>([["a", 1]]);',
+        'const a = 1, b = 2;',
+        'identity<number>(sizes.get("a")!) < b && b > a;'
+    ].join('\n');
+
+    assert.strictEqual(run(code), true);
+});
+
+test('reports namespaces, decorators, angle-bracket casts and imports as unsupported', () => {
+    assert.throws(() => transpile('const a = 1;\nnamespace N { export const b = 1; }', 'typescript'), {
+        name: 'SyntaxError',
+        message: /^Line 2: namespaces aren't supported/
+    });
+    assert.throws(() => transpile('@sealed\nclass A {}', 'typescript'), {
+        name: 'SyntaxError',
+        message: /^Line 1: decorators aren't supported/
+    });
+    assert.throws(() => transpile('const input: unknown = 1;\nconst n = <number>input;', 'typescript'), {
+        name: 'SyntaxError',
+        message: /^Line 2: angle-bracket casts aren't supported/
+    });
+    assert.throws(() => transpile('import fs from "fs";', 'javascript'), {
+        name: 'SyntaxError',
+        message: /^Line 1: import statements can't be run/
+    });
+});